@@ -1,54 +1,17 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import { auth, googleProvider, appleProvider, db } from "./firebase";
 import { signInWithPopup, signOut, onAuthStateChanged, createUserWithEmailAndPassword, signInWithEmailAndPassword, sendPasswordResetEmail, updateProfile, deleteUser, reauthenticateWithPopup } from "firebase/auth";
 import { doc, getDoc, setDoc, deleteDoc } from "firebase/firestore";
-
-// ─── PALETTE ─────────────────────────────────────────────────────────────────
-const P = {
-  bgTop: "#0B0D18", bg: "#0E0F1A", bgBottom: "#14162A",
-  glass: "rgba(24,27,48,0.55)", glassBorder: "rgba(46,48,96,0.5)",
-  glassSolid: "#181B30",
-  gold: "#F3D27A", moon: "#C9D1FF", nebula: "#9C8CFF", aurora: "#6EC5FF",
-  text: "#E7E9FF", soft: "#8F96C8", muted: "#6B7099", dim: "#3D4166",
-  tierGold: "#F3D27A", tierSilver: "#C9D1FF", tierBronze: "#D4976A",
-  divider: "rgba(37,40,71,0.6)",
-  btn: "#9C8CFF", btnActive: "#7B6ECC", btnDark: "#2A2555",
-};
-
-// ─── ACTIVITY PRESETS (for onboarding) ───────────────────────────────────────
-// Each preset defines an activity with scoring rules users can customize later.
-// - minDuration: minimum minutes to earn any stars
-// - baseStars: stars earned at minDuration
-// - midDuration: optional second tier threshold (null if single-tier)
-// - midStars: stars earned at midDuration+ (null if single-tier)
-// - bonusLabel: what the bonus checkbox says
-// - bonusStars: extra stars when bonus is checked
-const ACTIVITY_PRESETS = [
-  { id: "yoga", label: "Yoga", color: "#9C8CFF", colorLight: "rgba(30,26,58,0.7)",
-    minDuration: 30, baseStars: 2, midDuration: null, midStars: null,
-    bonusLabel: "Intense (pushed hard)", bonusStars: 1 },
-  { id: "walk", label: "Walking", color: "#6EC5FF", colorLight: "rgba(21,29,46,0.7)",
-    minDuration: 20, baseStars: 1, midDuration: 45, midStars: 2,
-    bonusLabel: "Intentional (no phone / nature)", bonusStars: 1 },
-  { id: "run", label: "Running", color: "#6EFFC5", colorLight: "rgba(21,46,36,0.7)",
-    minDuration: 15, baseStars: 2, midDuration: 30, midStars: 3,
-    bonusLabel: "Pushed pace / intervals", bonusStars: 1 },
-  { id: "gym", label: "Gym", color: "#FF9C6E", colorLight: "rgba(46,29,21,0.7)",
-    minDuration: 30, baseStars: 2, midDuration: 60, midStars: 3,
-    bonusLabel: "Hit a PR / extra effort", bonusStars: 1 },
-  { id: "swim", label: "Swimming", color: "#6ED8FF", colorLight: "rgba(21,38,46,0.7)",
-    minDuration: 20, baseStars: 2, midDuration: 45, midStars: 3,
-    bonusLabel: "Distance or drill focus", bonusStars: 1 },
-  { id: "cycle", label: "Cycling", color: "#C5FF6E", colorLight: "rgba(36,46,21,0.7)",
-    minDuration: 20, baseStars: 1, midDuration: 45, midStars: 2,
-    bonusLabel: "Hills or high intensity", bonusStars: 1 },
-  { id: "meditate", label: "Meditation", color: "#FF8CDB", colorLight: "rgba(46,21,40,0.7)",
-    minDuration: 10, baseStars: 1, midDuration: 20, midStars: 2,
-    bonusLabel: "Deep focus / guided session", bonusStars: 1 },
-  { id: "dance", label: "Dance", color: "#FFB86E", colorLight: "rgba(46,38,21,0.7)",
-    minDuration: 20, baseStars: 2, midDuration: 45, midStars: 3,
-    bonusLabel: "Full routine / performance", bonusStars: 1 },
-];
+import { P } from "./palette";
+import {
+  ACTIVITY_PRESETS, STARLIGHT_PER_STAR, ADAPT_WEEKS, DEFAULT_SCORING, activityRules, scoringOf,
+  createScoreStore, newEntryId, sessionShape, recentSessions, segmentsOf, activitiesOf, fromSegments, startedAtFor, needsEntryMigration, migrateEntries, STREAK_FREEZE_CAP, DEFAULT_TIERS, MAX_TIERS, tiersOf, tierLadder, getTier, nextTierInfo,
+  localDateStr, todayStr, clockOf, deviceTimezone, isValidTimezone, addDays, parseDateStr,
+  METRIC_TYPES, activityMetrics, cleanMetrics, metricStats, filterEntries,
+  MOOD_SCALE, moodShifts, GUIDED_PROGRAMS, programPhases, programSeconds, phaseAt,
+  DEFAULT_WEEK_START, weekStartOf, weekDays, weekKeyOf, monthKey, weekdayNames, monthWeeks, calendarWeeks,
+  rekeyWeeks, needsWeekRekey,
+} from "./engine";
 
 // ─── DEFAULT TARGETS & REWARDS ───────────────────────────────────────────────
 const DEFAULT_TARGETS = {
@@ -86,6 +49,50 @@ const MILESTONE_COPY = {
   monthly_stretch: "You reached the far stars. Legendary.",
 };
 
+// Tier colors from the top tier down (engine tiers carry `fromTop`); below
+// the lowest tier is dim
+const TIER_COLORS = [P.tierGold, P.tierSilver, P.tierBronze, P.aurora, P.nebula];
+const tierColor = t => t?.rank ? TIER_COLORS[t.fromTop] : P.dim;
+
+// Before/after mood on a session (entry.moodBefore / moodAfter), 1–5
+const MOOD_LABELS = { 1: "Heavy", 2: "Low", 3: "Steady", 4: "Light", 5: "Bright" };
+// "Yoga · 30 min", or "Yoga 30 + Meditation 15 min" for a split session
+const entryLabel = (e, activities) => {
+  const name = id => activities.find(a => a.id === id)?.label || id;
+  const segs = segmentsOf(e);
+  return segs.length > 1
+    ? `${segs.map(seg => `${name(seg.activity_type)} ${seg.duration_min}`).join(" + ")} min`
+    : `${name(e.activity_type)} · ${e.duration_min} min`;
+};
+const moodText = e => e.moodBefore || e.moodAfter ? `${MOOD_LABELS[e.moodBefore] || "—"} → ${MOOD_LABELS[e.moodAfter] || "—"}` : "";
+
+// One metric value as shown: "5.2 km", "12 laps", "RPE 7"
+const fmtMetric = (key, v, unit) =>
+  key === "distance" ? `${+v.toFixed(2)} ${unit}` : key === "effort" ? `RPE ${v}` : `${v} ${key}`;
+// A session's metrics in its activity's field order, e.g. "5.2 km · RPE 7"
+const metricText = (e, activities) => !e.metrics ? "" :
+  activityMetrics(activities.find(a => a.id === e.activity_type))
+    .filter(m => e.metrics[m.key] > 0).map(m => fmtMetric(m.key, e.metrics[m.key], m.unit)).join(" · ");
+// Minutes per `per` distance units as "5:12 /km" or "1:58 /100 m"
+const fmtPace = (pace, unit, per = 1) => {
+  const secs = Math.round(pace * 60);
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")} /${per === 1 ? unit : `${per} ${unit}`}`;
+};
+// Entry ids holding a personal best (any metric, or the fastest pace)
+const bestEntryIds = stats => new Set(Object.values(stats).flatMap(act => Object.values(act).map(m => m.bestId)).filter(Boolean));
+
+// Badges kept in userData.achievements ({ id: "YYYY-MM-DD" }). When each is
+// earned is worked out by the score store's achievements(); this is the copy.
+const ACHIEVEMENTS = [
+  { id: "first_gold", glyph: "✦", label: "First Gold Week", copy: "You went beyond your own week. The sky turned gold." },
+  { id: "streak_7", glyph: "☄", label: "7-Day Streak", copy: MILESTONE_COPY.streak_7 },
+  { id: "streak_14", glyph: "☄", label: "14-Day Streak", copy: MILESTONE_COPY.streak_14 },
+  { id: "streak_30", glyph: "☄", label: "30-Day Streak", copy: "A month of unbroken light. Steady as the stars." },
+  { id: "monthly_stretch", glyph: "✧", label: "Far Stars", copy: MILESTONE_COPY.monthly_stretch },
+  { id: "mindful_100", glyph: "☽", label: "100 Mindful Moments", copy: "A hundred moments fully present. Rarer than gold." },
+  { id: "all_activities", glyph: "❂", label: "Every Activity Tried", copy: "Every light in your sky has been lit at least once." },
+];
+
 const NUM_WORDS = {
   1:"One",2:"Two",3:"Three",4:"Four",5:"Five",6:"Six",7:"Seven",8:"Eight",
   9:"Nine",10:"Ten",11:"Eleven",12:"Twelve",13:"Thirteen",14:"Fourteen",
@@ -99,12 +106,27 @@ const NUM_WORDS = {
 // ─── FIREBASE DATA ───────────────────────────────────────────────────────────
 // The new data structure stores everything per user:
 //   profile:    { displayName, onboardingComplete, createdAt }
-//   activities: [ { id, label, color, colorLight, minDuration } ]
-//   targets:    { targetSessionsPerWeek, weeklyStarTarget, monthlyTarget, monthlyStretch }
+//   activities: [ { id, label, color, colorLight, minDuration, baseStars, midDuration, midStars, bonusLabel, bonusStars, metrics } ]
+//               (metrics: [ { key, unit } ] fields LogModal asks for — see engine METRIC_TYPES)
+//   targets:    { targetSessionsPerWeek, weeklyStarTarget, monthlyTarget, monthlyStretch, adaptive, tiers }
+//               tiers: [ { label, sub, pct } ]  (pct of weeklyStarTarget; absent = Bronze/Silver/Gold)
+//   targetHistory: [ { week, date, direction, reason, from, to, accepted, manual } ]  (adaptive-target proposals,
+//               and goal/tier edits from Settings with manual: true; accepted ones apply from `week`, and
+//               earlier weeks keep the targets in `from` — engine targetsAt)
+//   templates:  [ { id, activity_type, duration_min, mindful } ]  (pinned quick-log favorites)
 //   rewards:    [ "reward1", "reward2", ... ]  (soft suggestions for promises)
-//   entries:    [ { date, activity_type, duration_min, mindful } ]
-//   promises:   { "2026-02-W1": "A quiet coffee" }  (weekly intentions)
-//   claimed:    [ "2026-02-W1", ... ]
+//   entries:    [ { id, date, activity_type, duration_min, mindful, segments, metrics, note, moodBefore, moodAfter, tz, createdAt, startedAt } ]
+//               (segments: [ { activity_type, duration_min } ] for a split session — see engine segmentsOf)
+//               (metrics: { distance: 5.2, effort: 7 } for the main activity's fields, optional;
+//                note/moods optional, moods 1–5; tz/createdAt: where & when it was logged;
+//                startedAt: when the session began — a day's sessions are paced in this order)
+//   scoring:    { mode, floor, base, presenceBonus, presenceCap, returnCurve, pacingCurve }  (see engine.js)
+//   restDays:   [ "2026-03-14", ... ]  (planned rest — bridges streaks, never "missed")
+//   streaks:    { longest, history: [ { start, end, length } ], freezes }  (derived; kept for the record)
+//   achievements: { first_gold: "2026-03-08", streak_7: "...", ... }  (date each badge was first earned)
+//   settings:   { weekStart, timezone, dayCutoffHour }  (week start 1 = Mon / 0 = Sun; "" timezone = device)
+//   promises:   { "wk:2026-02-02": "A quiet coffee", "mo:2026-02": "A day trip" }  (weekly intentions keyed by week start date, monthly by month)
+//   claimed:    [ "wk:2026-02-02", "mo:2026-02", ... ]
 
 async function loadUserData(userId) {
   try {
@@ -115,6 +137,7 @@ async function loadUserData(userId) {
       if (!data.profile) {
         console.log("Migrating old data format to new structure…");
         const migrated = migrateOldData(data);
+        migrated.entries = migrateEntries(migrated.entries);
         await setDoc(doc(db, "users", userId), migrated);
         return migrated;
       }
@@ -129,6 +152,17 @@ async function loadUserData(userId) {
         };
         await setDoc(doc(db, "users", userId), data);
       }
+      // ── MIGRATION: day-of-month "YYYY-MM-Wn" week keys → real weeks ("wk:YYYY-MM-DD") ──
+      const weekStart = data.settings?.weekStart ?? DEFAULT_WEEK_START;
+      if (needsWeekRekey(data.promises, data.claimed, weekStart, data.targetHistory)) {
+        Object.assign(data, rekeyWeeks(data.promises, data.claimed, weekStart, data.targetHistory));
+        await setDoc(doc(db, "users", userId), data);
+      }
+      // ── MIGRATION: give every entry an id and created/started timestamps ──
+      if (needsEntryMigration(data.entries)) {
+        data.entries = migrateEntries(data.entries, clockOf(data.settings));
+        await setDoc(doc(db, "users", userId), data);
+      }
       return data;
     }
   } catch (err) { console.error("Load error:", err); }
@@ -151,8 +185,7 @@ function migrateOldData(oldData) {
     targets: { ...DEFAULT_TARGETS },
     rewards: [...DEFAULT_REWARDS],
     entries: migratedEntries,
-    promises: oldData.promises || {},
-    claimed: oldData.claimed || [],
+    ...rekeyWeeks(oldData.promises, oldData.claimed),
   };
 }
 
@@ -161,175 +194,6 @@ async function saveUserData(userId, data) {
   catch (err) { console.error("Save error:", err); }
 }
 
-// ─── SCORING ENGINE ──────────────────────────────────────────────────────────
-// RULE: Any activity worth logging ALWAYS earns at least 10 starlight.
-// Bonuses are purely additive — they can never reduce the base.
-// Diminishing returns apply only to bonuses for 2nd+ sessions per day.
-
-// Return-light bonus (additive): coming back after missed days
-const RETURN_BONUS = { 0: 0, 1: 5, 2: 7 }; // 3+ → 10
-
-function returnBonus(missed) { return RETURN_BONUS[missed] ?? 10; }
-
-// Pacing: only reduces bonuses, never the base star
-const BONUS_PACING = { 1: 1.0, 2: 0.7, 3: 0.5 }; // 4+ → 0.35
-function bonusPacing(idx) { return BONUS_PACING[idx] ?? 0.35; }
-
-const SESSION_MESSAGES = {
-  reentry: ["Welcome back — the sky remembers you.", "Return light. The stars waited.", "The sky opens wider for your return."],
-  presence: ["Presence noted. The glow deepens.", "A mindful moment — rarer than gold.", "Phone down, sky up. Beautiful."],
-  base: ["A star placed. Quietly luminous.", "The sky grows.", "One more light in your constellation."],
-};
-
-function scoreSession(entry, activities, allEntries) {
-  // ALWAYS at least 10 starlight — any logged activity counts
-  const baseStar = 10;
-
-  // Presence bonus: +5 if mindful (max once per day)
-  let presenceBonus = 0;
-  if (entry.mindful) {
-    const otherMindful = allEntries.filter(e =>
-      e.date === entry.date && e !== entry && e.mindful
-    );
-    if (otherMindful.length === 0) presenceBonus = 5;
-  }
-
-  // Return-light bonus: +0.5 to +1.0 based on missed days (additive, not multiplier)
-  const missedDays = calcMissedDays(entry.date, allEntries);
-  const returnBonusVal = returnBonus(missedDays);
-
-  // Session pacing: reduces bonuses only, never the base star
-  const todayBefore = allEntries.filter(e =>
-    e.date === entry.date && allEntries.indexOf(e) < allEntries.indexOf(entry)
-  );
-  const sessionIndex = todayBefore.length + 1;
-  const pacing = bonusPacing(sessionIndex);
-
-  // Final: base always full + bonuses scaled by pacing
-  const totalBonuses = (presenceBonus + returnBonusVal) * pacing;
-  const starsEarned = Math.round(baseStar + totalBonuses);
-
-  let msgPool = SESSION_MESSAGES.base;
-  if (missedDays >= 1) msgPool = SESSION_MESSAGES.reentry;
-  else if (presenceBonus > 0) msgPool = SESSION_MESSAGES.presence;
-  const message = msgPool[Math.floor(Math.random() * msgPool.length)];
-
-  return { starsEarned, baseStar, presenceBonus, returnBonus: returnBonusVal, pacing, message };
-}
-
-function calcMissedDays(dateStr, allEntries) {
-  const d = new Date(dateStr);
-  let missed = 0;
-  for (let i = 1; i <= 14; i++) {
-    const prev = new Date(d); prev.setDate(prev.getDate() - i);
-    const prevStr = localDateStr(prev);
-    if (allEntries.some(e => e.date === prevStr)) break;
-    missed++;
-  }
-  return missed;
-}
-
-// Every logged entry earns starlight — no zero states
-function calcPts(entry) {
-  return 10; // always counts
-}
-
-function localDateStr(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`; }
-function todayStr() { return localDateStr(new Date()); }
-function entriesFor(entries, ds) { return entries.filter(e => e.date === ds); }
-
-function dailyStars(allEntries, ds, activities) {
-  let total = 0;
-  for (const entry of entriesFor(allEntries, ds)) {
-    total += scoreSession(entry, activities, allEntries).starsEarned;
-  }
-  return Math.round(total);
-}
-
-function weekOfMonth(d) { return Math.ceil(d.getDate() / 7); }
-
-function weekRange(y, m, wn) {
-  const s = (wn - 1) * 7 + 1;
-  const e = Math.min(wn * 7, new Date(y, m, 0).getDate());
-  return [new Date(y, m - 1, s), new Date(y, m - 1, e)];
-}
-
-function weekStars(allEntries, y, m, wn, activities) {
-  const [s, e] = weekRange(y, m, wn);
-  let total = 0; const cur = new Date(s);
-  while (cur <= e) {
-    total += dailyStars(allEntries, localDateStr(cur), activities);
-    cur.setDate(cur.getDate() + 1);
-  }
-  return Math.round(total);
-}
-
-function monthStats(entries, y, m, activities, targets) {
-  const days = new Date(y, m, 0).getDate();
-  let pts = 0;
-  const actCounts = {}, mindfulCounts = {};
-  activities.forEach(a => { actCounts[a.id] = 0; mindfulCounts[a.id] = 0; });
-  for (let d = 1; d <= days; d++) {
-    const ds = `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
-    pts += dailyStars(entries, ds, activities);
-    entriesFor(entries, ds).forEach(e => {
-      if (calcPts(e) > 0) {
-        actCounts[e.activity_type] = (actCounts[e.activity_type] || 0) + 1;
-        if (e.mindful) mindfulCounts[e.activity_type] = (mindfulCounts[e.activity_type] || 0) + 1;
-      }
-    });
-  }
-  pts = Math.round(pts);
-  return { pts, actCounts, mindfulCounts, target: pts >= targets.monthlyTarget, stretch: pts >= targets.monthlyStretch };
-}
-
-function calcStreak(entries, activities) {
-  const active = new Set(entries.filter(e => calcPts(e) > 0).map(e => e.date));
-  if (!active.size) return 0;
-  let streak = 0, d = new Date();
-  while (active.has(localDateStr(d))) { streak++; d.setDate(d.getDate() - 1); }
-  return streak;
-}
-
-function goalMet(pts, targets) { return pts >= targets.weeklyStarTarget; }
-
-// ── Tier System ──
-// Bronze = showed up (50% of weekly target)
-// Silver = committed (100% of weekly target)  
-// Gold = exceeded (150% of weekly target)
-function getTier(pts, weeklyTarget) {
-  const bronzeThreshold = Math.round(weeklyTarget * 0.5);
-  const silverThreshold = weeklyTarget;
-  const goldThreshold = Math.round(weeklyTarget * 1.5);
-  if (pts >= goldThreshold) return { tier: "gold", label: "Gold", sub: "You exceeded", color: P.tierGold, threshold: goldThreshold };
-  if (pts >= silverThreshold) return { tier: "silver", label: "Silver", sub: "You committed", color: P.tierSilver, threshold: silverThreshold };
-  if (pts >= bronzeThreshold) return { tier: "bronze", label: "Bronze", sub: "You showed up", color: P.tierBronze, threshold: bronzeThreshold };
-  return { tier: "none", label: "", sub: "", color: P.dim, threshold: 0 };
-}
-function nextTierInfo(pts, weeklyTarget) {
-  const t = getTier(pts, weeklyTarget);
-  const bronzeAt = Math.round(weeklyTarget * 0.5);
-  const silverAt = weeklyTarget;
-  const goldAt = Math.round(weeklyTarget * 1.5);
-  if (t.tier === "none") return { label: "Bronze", color: P.tierBronze, remaining: Math.round(bronzeAt - pts) };
-  if (t.tier === "bronze") return { label: "Silver", color: P.tierSilver, remaining: Math.round(silverAt - pts) };
-  if (t.tier === "silver") return { label: "Gold", color: P.tierGold, remaining: Math.round(goldAt - pts) };
-  return null; // already gold
-}
-
-function calendarWeeks(y, m) {
-  const firstDay = new Date(y, m - 1, 1).getDay();
-  const offset = firstDay === 0 ? 6 : firstDay - 1;
-  const daysInMonth = new Date(y, m, 0).getDate();
-  const weeks = []; let week = Array(offset).fill(0);
-  for (let d = 1; d <= daysInMonth; d++) { week.push(d); if (week.length === 7) { weeks.push(week); week = []; } }
-  if (week.length > 0) { while (week.length < 7) week.push(0); weeks.push(week); }
-  return weeks;
-}
-
-function fridayOf(y, m, wn) { const [s, e] = weekRange(y, m, wn); const cur = new Date(s); while (cur <= e) { if (cur.getDay() === 5) return cur; cur.setDate(cur.getDate() + 1); } return e; }
-function sundayOf(y, m, wn) { const [s, e] = weekRange(y, m, wn); const cur = new Date(s); while (cur <= e) { if (cur.getDay() === 0) return cur; cur.setDate(cur.getDate() + 1); } return e; }
-
 // ─── VISUAL COMPONENTS ───────────────────────────────────────────────────────
 function StarParticles() {
   const particles = useRef(Array.from({ length: 10 }, (_, i) => ({
@@ -389,29 +253,25 @@ function GlassCard({ children, className="", glow=false, glowColor=P.nebula, sty
   );
 }
 
-function ConstellationBar({ pts, target }) {
-  const bronzeAt = Math.round(target * 0.5);
-  const goldAt = Math.round(target * 1.5);
-  const pct = goldAt > 0 ? Math.min(pts / goldAt, 1) : 0;
-  const tier = getTier(pts, target);
-  const tiers = [
-    { label: "Bronze", at: bronzeAt, color: P.tierBronze, pct: bronzeAt / goldAt },
-    { label: "Silver", at: target, color: P.tierSilver, pct: target / goldAt },
-    { label: "Gold", at: goldAt, color: P.tierGold, pct: 1 },
-  ];
+function ConstellationBar({ pts, target, tierDefs }) {
+  const ladder = tierLadder(target, tierDefs);
+  const topAt = ladder[ladder.length - 1].threshold;
+  const pct = topAt > 0 ? Math.min(pts / topAt, 1) : 0;
+  const tier = getTier(pts, target, tierDefs);
+  const tiers = ladder.map(t => ({ label: t.label, at: t.threshold, color: tierColor(t), pct: topAt > 0 ? t.threshold / topAt : 1 }));
+  const reached = tiers.slice(0, tier.rank).map(t => t.color);
   return (
     <div style={{ position: "relative" }}>
       <div className="tier-bar-bg" style={{ height: 28, marginBottom: 4 }}>
         <div className="tier-bar-fill" style={{
           width: `${pct * 100}%`,
-          background: tier.tier === "gold" ? `linear-gradient(90deg, ${P.tierBronze}, ${P.tierSilver}, ${P.tierGold})`
-            : tier.tier === "silver" ? `linear-gradient(90deg, ${P.tierBronze}, ${P.tierSilver})`
-            : tier.tier === "bronze" ? P.tierBronze
+          background: reached.length > 1 ? `linear-gradient(90deg, ${reached.join(", ")})`
+            : reached.length === 1 ? reached[0]
             : `linear-gradient(90deg, ${P.nebula}, ${P.aurora})`,
           transition: "width 0.5s ease",
         }} />
-        {tiers.map(t => (
-          <div key={t.label} style={{
+        {tiers.map((t, i) => (
+          <div key={i} style={{
             position: "absolute", left: `${t.pct * 100}%`, top: 0, bottom: 0,
             borderLeft: `1.5px dashed ${pts >= t.at ? t.color : P.dim}40`,
             transform: "translateX(-1px)", pointerEvents: "none",
@@ -419,15 +279,15 @@ function ConstellationBar({ pts, target }) {
         ))}
         <div className="tier-bar-text" style={{ justifyContent: "center" }}>
           {tier.tier !== "none" ? (
-            <span style={{ color: tier.color, fontSize: 12, fontWeight: 600 }}>✦ {tier.label}</span>
+            <span style={{ color: tierColor(tier), fontSize: 12, fontWeight: 600 }}>✦ {tier.label}</span>
           ) : (
-            <span style={{ color: P.soft, fontSize: 12 }}>✦ {Math.round(pts)} / {bronzeAt}</span>
+            <span style={{ color: P.soft, fontSize: 12 }}>✦ {Math.round(pts)} / {ladder[0].threshold}</span>
           )}
         </div>
       </div>
       <div style={{ display: "flex", justifyContent: "space-between", padding: "0 2px" }}>
-        {tiers.map(t => (
-          <div key={t.label} style={{ textAlign: "center", flex: 1 }}>
+        {tiers.map((t, i) => (
+          <div key={i} style={{ textAlign: "center", flex: 1 }}>
             <span style={{ color: pts >= t.at ? t.color : P.dim, fontSize: 10, fontWeight: pts >= t.at ? 600 : 400 }}>
               {t.label}
             </span>
@@ -438,175 +298,412 @@ function ConstellationBar({ pts, target }) {
   );
 }
 
+// ─── MINI CALENDAR ───────────────────────────────────────────────────────────
+// Month grid for picking dates between minDate and maxDate ("YYYY-MM-DD").
+// mark(ds) may return a small glyph to show under a day (e.g. ☾ for rest days).
+
+function MiniCalendar({ minDate, maxDate, isSelected, onSelect, mark, weekStart = DEFAULT_WEEK_START, clock }) {
+  const today = todayStr(new Date(), clock);
+  const start = parseDateStr(maxDate && maxDate < today ? maxDate : today);
+  const [calMonth, setCalMonth] = useState(start.getMonth());
+  const [calYear, setCalYear] = useState(start.getFullYear());
+
+  const calDaysInMonth = new Date(calYear, calMonth + 1, 0).getDate();
+  const calFirstDay = (new Date(calYear, calMonth, 1).getDay() - weekStart + 7) % 7;
+  const calCells = [];
+  for (let i = 0; i < calFirstDay; i++) calCells.push(null);
+  for (let d = 1; d <= calDaysInMonth; d++) calCells.push(d);
+
+  const monthKey = (y, m) => `${y}-${String(m + 1).padStart(2,"0")}`;
+  const canPrevMonth = () => !minDate || monthKey(calYear, calMonth) > minDate.slice(0, 7);
+  const canNextMonth = () => !maxDate || monthKey(calYear, calMonth) < maxDate.slice(0, 7);
+
+  return (<>
+    {/* Month nav */}
+    <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
+      <button onClick={() => { if (canPrevMonth()) { if (calMonth === 0) { setCalMonth(11); setCalYear(calYear - 1); } else setCalMonth(calMonth - 1); }}}
+        style={{ background:"none", border:"none", color: canPrevMonth() ? P.text : P.dim, fontSize:18, cursor: canPrevMonth() ? "pointer" : "default", padding:"4px 8px" }}>‹</button>
+      <span style={{ color:P.text, fontSize:14, fontWeight:600, fontFamily:"'Inter', sans-serif" }}>
+        {new Date(calYear, calMonth).toLocaleDateString("en-US", { month:"long", year:"numeric" })}
+      </span>
+      <button onClick={() => { if (canNextMonth()) { if (calMonth === 11) { setCalMonth(0); setCalYear(calYear + 1); } else setCalMonth(calMonth + 1); }}}
+        style={{ background:"none", border:"none", color: canNextMonth() ? P.text : P.dim, fontSize:18, cursor: canNextMonth() ? "pointer" : "default", padding:"4px 8px" }}>›</button>
+    </div>
+    {/* Day headers */}
+    <div style={{ display:"grid", gridTemplateColumns:"repeat(7,1fr)", gap:2, marginBottom:4 }}>
+      {weekdayNames(weekStart).map(d => (
+        <div key={d} style={{ textAlign:"center", fontSize:10, color:P.muted, fontWeight:600, padding:4 }}>{d}</div>
+      ))}
+    </div>
+    {/* Day cells */}
+    <div style={{ display:"grid", gridTemplateColumns:"repeat(7,1fr)", gap:2 }}>
+      {calCells.map((day, i) => {
+        if (day === null) return <div key={`e${i}`} />;
+        const ds = `${monthKey(calYear, calMonth)}-${String(day).padStart(2,"0")}`;
+        const disabled = (maxDate && ds > maxDate) || (minDate && ds < minDate);
+        const selected = isSelected(ds);
+        const isTodayCell = ds === today;
+        const glyph = mark?.(ds);
+        return (
+          <button key={ds} onClick={() => !disabled && onSelect(ds)}
+            style={{
+              width:34, height:34, borderRadius:"50%", border:"none", position:"relative",
+              display:"flex", alignItems:"center", justifyContent:"center",
+              fontSize:13, fontWeight: selected ? 700 : isTodayCell ? 600 : 400,
+              fontFamily:"'Inter', sans-serif", cursor: disabled ? "default" : "pointer",
+              transition:"all 0.15s ease",
+              background: selected ? P.nebula : "transparent",
+              color: disabled ? P.dim : selected ? "#fff" : isTodayCell ? P.nebula : P.text,
+            }}>
+            {day}
+            {glyph && <span style={{ position:"absolute", bottom:0, fontSize:8, color: selected ? "#fff" : P.moon }}>{glyph}</span>}
+          </button>
+        );
+      })}
+    </div>
+  </>);
+}
+
 // ─── DYNAMIC LOG MODAL ───────────────────────────────────────────────────────
 // Now reads from the user's activities config instead of hardcoded yoga/walk
 
-function LogModal({ onClose, onLog, activities, allEntries }) {
-  const [activityId, setActivityId] = useState(activities[0]?.id || "");
-  const [duration, setDuration] = useState("30");
-  const [mindful, setMindful] = useState(false);
-  const [selectedDate, setSelectedDate] = useState(todayStr());
+const BACKDATE_DAYS = 14; // how far back a session can be logged (or edited)
+const MAX_SEGMENTS = 4;   // parts in one split session
+
+// With `entry` set, the modal edits that session instead of adding one.
+// `prefill` ({ activity_type, duration_min, startedAt }) comes from a stopped
+// session timer; with onStartTimer the modal can start one instead of logging.
+// `date` opens it on that day instead of today.
+function LogModal({ entry, prefill, date, timerRunning, onStartTimer, onDiscard, onClose, onLog, activities, allEntries, scoring, weekStart, clock }) {
+  const init = entry || prefill;
+  const timedDate = prefill?.startedAt ? todayStr(new Date(prefill.startedAt), clock) : null;
+  const [mode, setMode] = useState("log"); // "log" | "timer"
+  const [activityId, setActivityId] = useState(init?.activity_type || activities[0]?.id || "");
+  const [duration, setDuration] = useState(init ? String(init.duration_min) : "30");
+  const [mindful, setMindful] = useState(!!entry?.mindful);
+  const [selectedDate, setSelectedDate] = useState(() => entry?.date || timedDate || date || todayStr(new Date(), clock));
+  const [note, setNote] = useState(entry?.note || "");
+  const [moodBefore, setMoodBefore] = useState(entry?.moodBefore || null);
+  const [moodAfter, setMoodAfter] = useState(entry?.moodAfter || null);
+  // Metric values as typed, by key; only the current activity's fields are saved
+  const [metricVals, setMetricVals] = useState(() => Object.fromEntries(
+    Object.entries(entry?.metrics || {}).map(([key, v]) => [key, String(v)])));
+  // A split session's parts as { activity_type, duration } (duration as typed); null when not split
+  const [segments, setSegments] = useState(() => entry?.segments?.length > 1
+    ? entry.segments.map(seg => ({ activity_type: seg.activity_type, duration: String(seg.duration_min) })) : null);
   const [showCal, setShowCal] = useState(false);
 
-  const today = new Date();
-  const twoWeeksAgo = new Date(); twoWeeksAgo.setDate(twoWeeksAgo.getDate() - 14);
+  const today = todayStr(new Date(), clock);
+  const earliest = addDays(today, -BACKDATE_DAYS);
 
   // Format selected date for display
-  const selD = new Date(selectedDate + "T12:00:00");
-  const isToday = selectedDate === todayStr();
+  const selD = parseDateStr(selectedDate);
+  const isToday = selectedDate === today;
   const dateDisplay = isToday ? "Today" : selD.toLocaleDateString("en-US", { weekday:"short", month:"short", day:"numeric" });
 
-  // Mini calendar state
-  const [calMonth, setCalMonth] = useState(today.getMonth());
-  const [calYear, setCalYear] = useState(today.getFullYear());
-
-  const calDaysInMonth = new Date(calYear, calMonth + 1, 0).getDate();
-  const calFirstDay = (new Date(calYear, calMonth, 1).getDay() + 6) % 7; // Mon=0
-  const calCells = [];
-  for (let i = 0; i < calFirstDay; i++) calCells.push(null);
-  for (let d = 1; d <= calDaysInMonth; d++) calCells.push(d);
-
-  const canPrevMonth = () => {
-    const prev = new Date(calYear, calMonth - 1, 1);
-    return prev >= new Date(twoWeeksAgo.getFullYear(), twoWeeksAgo.getMonth(), 1);
-  };
-  const canNextMonth = () => {
-    const next = new Date(calYear, calMonth + 1, 1);
-    return next <= new Date(today.getFullYear(), today.getMonth(), 1);
-  };
-
-  const handleCalSelect = (day) => {
-    const ds = `${calYear}-${String(calMonth + 1).padStart(2,"0")}-${String(day).padStart(2,"0")}`;
-    const d = new Date(ds + "T12:00:00");
-    if (d > today || d < twoWeeksAgo) return;
+  const handleCalSelect = (ds) => {
     setSelectedDate(ds);
     setShowCal(false);
   };
 
+  const split = segments && mode === "log";
+  const parts = split
+    ? segments.map(seg => ({ activity_type: seg.activity_type, duration_min: parseInt(seg.duration, 10) || 0 }))
+    : [{ activity_type: activityId, duration_min: parseInt(duration, 10) || 0 }];
+  const setSegment = (i, patch) => setSegments(list => list.map((seg, j) => j === i ? { ...seg, ...patch } : seg));
+  const startSplit = () => setSegments([
+    { activity_type: activityId, duration: duration || "30" },
+    { activity_type: activities.find(a => a.id !== activityId)?.id || activityId, duration: "15" },
+  ]);
+
   const handleLog = () => {
-    const mins = parseInt(duration, 10);
-    if (!mins || mins < 1) return;
-    onLog({ date: selectedDate, activity_type: activityId, duration_min: mins, mindful });
+    if (!validDuration) return;
+    // Optional fields are left off rather than stored empty
+    const fields = { date: selectedDate, ...fromSegments(parts), mindful };
+    if (note.trim()) fields.note = note.trim();
+    if (moodBefore) fields.moodBefore = moodBefore;
+    if (moodAfter) fields.moodAfter = moodAfter;
+    const metrics = cleanMetrics(metricVals, metricFields);
+    if (Object.keys(metrics).length) fields.metrics = metrics;
+    if (timedDate && selectedDate === timedDate) fields.startedAt = prefill.startedAt;
+    onLog(fields);
     onClose();
   };
 
-  const validDuration = parseInt(duration, 10) >= 1;
+  const validDuration = parts.every(seg => seg.duration_min >= 1);
+
+  // In activity mode the checkbox is the activity's own bonus (a split session's
+  // main activity's), and its tiers are shown
+  const byActivity = scoringOf(scoring).mode === "activity";
+  const selectedAct = activities.find(a => a.id === fromSegments(parts).activity_type);
+  const rules = activityRules(selectedAct);
+  // A split session's metrics are its main activity's (the one it's filed under)
+  const metricFields = activityMetrics(selectedAct);
+  const setMetric = (key, v) => setMetricVals(vals => ({ ...vals, [key]: v }));
+  const bonusText = byActivity ? rules.bonusLabel : "Mindful session (phone-free / fully present)";
+  const tierHint = [
+    `${rules.minDuration}+ min → ${rules.baseStars * STARLIGHT_PER_STAR}`,
+    rules.midDuration && rules.midStars ? `${rules.midDuration}+ min → ${rules.midStars * STARLIGHT_PER_STAR}` : null,
+  ].filter(Boolean).join(" · ");
 
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={e => e.stopPropagation()}>
         <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:26, fontWeight:600, marginBottom:24 }}>
-          Add a Moment
+          {entry ? "Edit Moment" : "Add a Moment"}
         </h2>
 
-        {/* Date selector button */}
-        <div style={{ position:"relative", marginBottom:20 }}>
-          <button onClick={() => setShowCal(!showCal)} style={{
-            display:"flex", alignItems:"center", gap:8, margin:"0 auto",
-            background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:10,
-            padding:"8px 16px", cursor:"pointer", color:P.text, fontSize:14,
-            fontFamily:"'Inter', sans-serif", fontWeight:500, transition:"all 0.2s ease",
-          }}>
-            <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke={P.nebula} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
-              <rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>
-            </svg>
-            {dateDisplay}
-            <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke={P.muted} strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
-              <polyline points="6 9 12 15 18 9"/>
-            </svg>
-          </button>
+        {onStartTimer && (
+          <div style={{ display:"flex", justifyContent:"center", gap:6, marginTop:-12, marginBottom:20 }}>
+            {[["log", "Log a moment"], ["timer", "◷ Start moment"]].map(([m, label]) => (
+              <button key={m} className="btn-ghost" onClick={() => setMode(m)}
+                style={{
+                  fontSize:12, padding:"4px 12px", borderRadius:10,
+                  color: mode === m ? P.nebula : P.muted,
+                  border:`1px solid ${mode === m ? P.nebula : P.glassBorder}`,
+                }}>{label}</button>
+            ))}
+          </div>
+        )}
+        {prefill?.startedAt && (
+          <p style={{ color:P.muted, fontSize:12, textAlign:"center", marginTop:-12, marginBottom:16 }}>
+            Started {new Date(prefill.startedAt).toLocaleTimeString("en-US", { hour:"numeric", minute:"2-digit" })} · {prefill.duration_min} min measured
+          </p>
+        )}
 
-          {/* Calendar dropdown */}
-          {showCal && (
-            <div style={{
-              position:"absolute", top:"100%", left:"50%", transform:"translateX(-50%)",
-              marginTop:8, zIndex:100, width:280,
-              background:P.bg, border:`1px solid ${P.glassBorder}`, borderRadius:14,
-              padding:16, boxShadow:`0 12px 40px rgba(0,0,0,0.5)`,
+        {mode === "log" && (<>
+          {/* Date selector button */}
+          <div style={{ position:"relative", marginBottom:20 }}>
+            <button onClick={() => setShowCal(!showCal)} style={{
+              display:"flex", alignItems:"center", gap:8, margin:"0 auto",
+              background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:10,
+              padding:"8px 16px", cursor:"pointer", color:P.text, fontSize:14,
+              fontFamily:"'Inter', sans-serif", fontWeight:500, transition:"all 0.2s ease",
             }}>
-              {/* Month nav */}
-              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:12 }}>
-                <button onClick={() => { if (canPrevMonth()) { if (calMonth === 0) { setCalMonth(11); setCalYear(calYear - 1); } else setCalMonth(calMonth - 1); }}}
-                  style={{ background:"none", border:"none", color: canPrevMonth() ? P.text : P.dim, fontSize:18, cursor: canPrevMonth() ? "pointer" : "default", padding:"4px 8px" }}>‹</button>
-                <span style={{ color:P.text, fontSize:14, fontWeight:600, fontFamily:"'Inter', sans-serif" }}>
-                  {new Date(calYear, calMonth).toLocaleDateString("en-US", { month:"long", year:"numeric" })}
-                </span>
-                <button onClick={() => { if (canNextMonth()) { if (calMonth === 11) { setCalMonth(0); setCalYear(calYear + 1); } else setCalMonth(calMonth + 1); }}}
-                  style={{ background:"none", border:"none", color: canNextMonth() ? P.text : P.dim, fontSize:18, cursor: canNextMonth() ? "pointer" : "default", padding:"4px 8px" }}>›</button>
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke={P.nebula} strokeWidth="2" strokeLinecap="round" strokeLinejoin="round">
+                <rect x="3" y="4" width="18" height="18" rx="2"/><line x1="16" y1="2" x2="16" y2="6"/><line x1="8" y1="2" x2="8" y2="6"/><line x1="3" y1="10" x2="21" y2="10"/>
+              </svg>
+              {dateDisplay}
+              <svg width="10" height="10" viewBox="0 0 24 24" fill="none" stroke={P.muted} strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
+                <polyline points="6 9 12 15 18 9"/>
+              </svg>
+            </button>
+
+            {/* Calendar dropdown */}
+            {showCal && (
+              <div style={{
+                position:"absolute", top:"100%", left:"50%", transform:"translateX(-50%)",
+                marginTop:8, zIndex:100, width:280,
+                background:P.bg, border:`1px solid ${P.glassBorder}`, borderRadius:14,
+                padding:16, boxShadow:`0 12px 40px rgba(0,0,0,0.5)`,
+              }}>
+                <MiniCalendar minDate={earliest} maxDate={today}
+                  isSelected={ds => ds === selectedDate} onSelect={handleCalSelect} weekStart={weekStart} clock={clock} />
+                <button onClick={() => setShowCal(false)} style={{
+                  display:"block", margin:"12px auto 0", background:"none", border:"none",
+                  color:P.nebula, fontSize:12, fontWeight:500, cursor:"pointer",
+                }}>Cancel</button>
               </div>
-              {/* Day headers */}
-              <div style={{ display:"grid", gridTemplateColumns:"repeat(7,1fr)", gap:2, marginBottom:4 }}>
-                {["Mo","Tu","We","Th","Fr","Sa","Su"].map(d => (
-                  <div key={d} style={{ textAlign:"center", fontSize:10, color:P.muted, fontWeight:600, padding:4 }}>{d}</div>
-                ))}
+            )}
+          </div>
+        </>)}
+
+        {!split && (
+          <div style={{ display:"flex", gap:10, justifyContent:"center", marginBottom:20, flexWrap:"wrap" }}>
+            {activities.map(a => (
+              <button key={a.id} onClick={() => { setActivityId(a.id); setMindful(false); }}
+                className={`activity-btn ${activityId===a.id ? "active" : ""}`}
+                style={{ "--accent": a.color }}>
+                <span className="activity-star">✦</span> {a.label}
+              </button>
+            ))}
+          </div>
+        )}
+        {split && (
+          <div style={{ marginBottom:16 }}>
+            {segments.map((seg, i) => (
+              <div key={i} style={{ display:"flex", alignItems:"center", gap:8, justifyContent:"center", marginBottom:8 }}>
+                <select value={seg.activity_type} onChange={e => setSegment(i, { activity_type: e.target.value })}
+                  className="onboard-input" style={{ width:150, fontSize:13, padding:"8px 10px",
+                    color: activities.find(a => a.id === seg.activity_type)?.color || P.text }}>
+                  {activities.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+                </select>
+                <input type="text" inputMode="numeric" pattern="[0-9]*" value={seg.duration}
+                  onChange={e => setSegment(i, { duration: e.target.value.replace(/[^0-9]/g, "") })}
+                  style={{
+                    width:56, textAlign:"center", fontSize:15, fontWeight:600,
+                    background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:10,
+                    color:P.text, padding:"7px 8px", outline:"none", fontFamily:"'Inter', sans-serif",
+                  }} />
+                <span style={{ color:P.muted, fontSize:13 }}>min</span>
+                <button className="del-btn" disabled={segments.length <= 2} style={{ opacity: segments.length <= 2 ? 0.3 : 1 }}
+                  onClick={() => setSegments(list => list.filter((_, j) => j !== i))}>×</button>
               </div>
-              {/* Day cells */}
-              <div style={{ display:"grid", gridTemplateColumns:"repeat(7,1fr)", gap:2 }}>
-                {calCells.map((day, i) => {
-                  if (day === null) return <div key={`e${i}`} />;
-                  const ds = `${calYear}-${String(calMonth + 1).padStart(2,"0")}-${String(day).padStart(2,"0")}`;
-                  const d = new Date(ds + "T12:00:00");
-                  const disabled = d > today || d < twoWeeksAgo;
-                  const isSelected = ds === selectedDate;
-                  const isTodayCell = ds === todayStr();
-                  return (
-                    <button key={ds} onClick={() => !disabled && handleCalSelect(day)}
-                      style={{
-                        width:34, height:34, borderRadius:"50%", border:"none",
-                        display:"flex", alignItems:"center", justifyContent:"center",
-                        fontSize:13, fontWeight: isSelected ? 700 : isTodayCell ? 600 : 400,
-                        fontFamily:"'Inter', sans-serif", cursor: disabled ? "default" : "pointer",
-                        transition:"all 0.15s ease",
-                        background: isSelected ? P.nebula : "transparent",
-                        color: disabled ? P.dim : isSelected ? "#fff" : isTodayCell ? P.nebula : P.text,
-                      }}>
-                      {day}
-                    </button>
-                  );
-                })}
+            ))}
+            <div style={{ display:"flex", justifyContent:"center", gap:8 }}>
+              {segments.length < MAX_SEGMENTS && (
+                <button className="btn-ghost" style={{ fontSize:12, color:P.nebula, padding:"4px 10px" }}
+                  onClick={() => setSegments(list => [...list, { activity_type: activityId, duration: "10" }])}>+ Add part</button>
+              )}
+              <button className="btn-ghost" style={{ fontSize:12, padding:"4px 10px" }} onClick={() => {
+                setActivityId(segments[0].activity_type); setDuration(segments[0].duration); setSegments(null);
+              }}>Single activity</button>
+            </div>
+            <p style={{ color:P.muted, fontSize:11, textAlign:"center", marginTop:4 }}>
+              {fromSegments(parts).duration_min} min as one session — each part counts toward its own activity
+            </p>
+          </div>
+        )}
+        {mode === "log" && (<>
+          {!split && (<>
+            <div style={{ display:"flex", alignItems:"center", gap:10, justifyContent:"center", marginBottom:16 }}>
+              <span style={{ color:P.soft, fontSize:14 }}>Duration</span>
+              <input
+                type="text"
+                inputMode="numeric"
+                pattern="[0-9]*"
+                value={duration}
+                onChange={e => { const v = e.target.value.replace(/[^0-9]/g, ""); setDuration(v); }}
+                style={{
+                  width:72, textAlign:"center", fontSize:18, fontWeight:600,
+                  background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:10,
+                  color:P.text, padding:"8px 10px", outline:"none",
+                  fontFamily:"'Inter', sans-serif",
+                }}
+              />
+              <span style={{ color:P.muted, fontSize:14 }}>min</span>
+            </div>
+            {byActivity && selectedAct && (
+              <p style={{ color:P.muted, fontSize:11, textAlign:"center", marginTop:-8, marginBottom:14 }}>
+                {tierHint} starlight
+              </p>
+            )}
+          </>)}
+          {split && metricFields.length > 0 && (
+            <p style={{ color:P.muted, fontSize:11, textAlign:"center", marginBottom:8 }}>{selectedAct.label}</p>
+          )}
+          {metricFields.map(({ key, unit }) => {
+            const type = METRIC_TYPES[key];
+            return (
+              <div key={key} style={{ display:"flex", alignItems:"center", gap:key === "effort" ? 3 : 10, justifyContent:"center", marginBottom:12 }}>
+                <span style={{ color:P.soft, fontSize:13, width:key === "effort" ? 48 : "auto" }} title={type.sub}>{type.label}</span>
+                {key === "effort"
+                  ? Array.from({ length: type.max }, (_, i) => i + 1).map(v => (
+                      <button key={v} className={`mood-btn ${metricVals.effort === String(v) ? "active" : ""}`}
+                        onClick={() => setMetric("effort", metricVals.effort === String(v) ? "" : String(v))}>{v}</button>
+                    ))
+                  : (<>
+                      <input type="text" inputMode={type.decimals ? "decimal" : "numeric"} value={metricVals[key] || ""} placeholder="—"
+                        onChange={e => setMetric(key, e.target.value.replace(type.decimals ? /[^0-9.]/g : /[^0-9]/g, ""))}
+                        style={{
+                          width:72, textAlign:"center", fontSize:15, fontWeight:600,
+                          background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:10,
+                          color:P.text, padding:"7px 8px", outline:"none", fontFamily:"'Inter', sans-serif",
+                        }} />
+                      <span style={{ color:P.muted, fontSize:13, minWidth:30 }}>{key === "distance" ? unit : key}</span>
+                    </>)}
               </div>
-              <button onClick={() => setShowCal(false)} style={{
-                display:"block", margin:"12px auto 0", background:"none", border:"none",
-                color:P.nebula, fontSize:12, fontWeight:500, cursor:"pointer",
-              }}>Cancel</button>
+            );
+          })}
+          {!split && activities.length > 1 && (
+            <div style={{ textAlign:"center", marginTop:-6, marginBottom:12 }}>
+              <button className="btn-ghost" style={{ fontSize:12, padding:"2px 10px", color:P.nebula }} onClick={startSplit}>
+                ⇄ Split into parts
+              </button>
             </div>
           )}
+          <label className="flag-label" style={{ "--accent": P.gold }}>
+            <input type="checkbox" checked={mindful} onChange={e => setMindful(e.target.checked)} />
+            <span className="flag-star">✦</span>
+            {bonusText}
+            {byActivity && <span style={{ color:P.muted, fontSize:11 }}>+{rules.bonusStars * STARLIGHT_PER_STAR}</span>}
+          </label>
+
+          {/* How it felt — optional */}
+          <div style={{ marginTop:20 }}>
+            {[["Before", moodBefore, setMoodBefore], ["After", moodAfter, setMoodAfter]].map(([label, value, set]) => (
+              <div key={label} style={{ display:"flex", alignItems:"center", gap:4, justifyContent:"center", marginBottom:8 }}>
+                <span style={{ color:P.soft, fontSize:12, width:44 }}>{label}</span>
+                {MOOD_SCALE.map(v => (
+                  <button key={v} className={`mood-btn ${value === v ? "active" : ""}`} onClick={() => set(value === v ? null : v)}>
+                    {MOOD_LABELS[v]}
+                  </button>
+                ))}
+              </div>
+            ))}
+            <textarea value={note} onChange={e => setNote(e.target.value)} maxLength={280} rows={2}
+              placeholder="How did it feel? (optional)" className="onboard-input"
+              style={{ fontSize:13, padding:"10px 12px", marginTop:4, resize:"none" }} />
+          </div>
+        </>)}
+        {mode === "timer" && (
+          <p style={{ color:P.muted, fontSize:12, textAlign:"center", lineHeight:1.5 }}>
+            {timerRunning
+              ? "A moment is already running — you'll find it on the Now view."
+              : "A gentle stopwatch runs while you move. Pause when you need to; stop when you're done and place the star."}
+          </p>
+        )}
+        <div style={{ display:"flex", gap:12, justifyContent:"center", marginTop:24 }}>
+          {mode === "timer"
+            ? <button className="btn-primary" disabled={timerRunning || !activityId}
+                onClick={() => { onStartTimer(activityId); onClose(); }}>◷ Start</button>
+            : <button className="btn-primary" onClick={handleLog} disabled={!validDuration}
+                style={{ opacity: validDuration ? 1 : 0.4 }}>{entry ? "✦ Save Changes" : "✦ Place This Star"}</button>}
+          <button className="btn-ghost" onClick={onClose}>Cancel</button>
         </div>
-
-        <div style={{ display:"flex", gap:10, justifyContent:"center", marginBottom:20, flexWrap:"wrap" }}>
-          {activities.map(a => (
-            <button key={a.id} onClick={() => { setActivityId(a.id); setMindful(false); }}
-              className={`activity-btn ${activityId===a.id ? "active" : ""}`}
-              style={{ "--accent": a.color }}>
-              <span className="activity-star">✦</span> {a.label}
+        {onDiscard && (
+          <div style={{ textAlign:"center", marginTop:10 }}>
+            <button className="btn-ghost" style={{ fontSize:12, color:P.muted }} onClick={() => { onDiscard(); onClose(); }}>
+              Discard this moment
             </button>
-          ))}
-        </div>
-        <div style={{ display:"flex", alignItems:"center", gap:10, justifyContent:"center", marginBottom:16 }}>
-          <span style={{ color:P.soft, fontSize:14 }}>Duration</span>
-          <input
-            type="text"
-            inputMode="numeric"
-            pattern="[0-9]*"
-            value={duration}
-            onChange={e => { const v = e.target.value.replace(/[^0-9]/g, ""); setDuration(v); }}
-            style={{
-              width:72, textAlign:"center", fontSize:18, fontWeight:600,
-              background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:10,
-              color:P.text, padding:"8px 10px", outline:"none",
-              fontFamily:"'Inter', sans-serif",
-            }}
-          />
-          <span style={{ color:P.muted, fontSize:14 }}>min</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// ─── REST DAY MODAL ──────────────────────────────────────────────────────────
+// Mark planned rest/recovery days. They keep the streak alive and don't count
+// as missed days. Days that already hold a session can't be marked.
+
+const REST_AHEAD_DAYS = 60; // how far ahead rest can be planned
+
+function RestDayModal({ restDays, hasEntries, weekStart, clock, onClose, onSave }) {
+  const [picked, setPicked] = useState(() => new Set(restDays));
+  const today = todayStr(new Date(), clock);
+  const earliest = addDays(today, -BACKDATE_DAYS);
+
+  const toggle = (ds) => {
+    if (hasEntries(ds)) return;
+    const next = new Set(picked);
+    if (next.has(ds)) next.delete(ds); else next.add(ds);
+    setPicked(next);
+  };
+
+  const upcoming = [...picked].filter(ds => ds >= today).sort();
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content modal-reward" onClick={e => e.stopPropagation()}>
+        <h2 style={{ color:P.moon, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:8 }}>
+          ☾ Rest Days
+        </h2>
+        <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:15, lineHeight:1.7, marginBottom:16 }}>
+          Rest is part of the cosmos. Planned rest keeps your streak and never counts as a missed day.
+        </p>
+        <div style={{ width:280, margin:"0 auto 12px" }}>
+          <MiniCalendar minDate={earliest} maxDate={addDays(today, REST_AHEAD_DAYS)}
+            isSelected={ds => picked.has(ds)} onSelect={toggle}
+            mark={ds => hasEntries(ds) ? "✦" : null} weekStart={weekStart} clock={clock} />
         </div>
-        <label className="flag-label" style={{ "--accent": P.gold }}>
-          <input type="checkbox" checked={mindful} onChange={e => setMindful(e.target.checked)} />
-          <span className="flag-star">✦</span>
-          Mindful session (phone-free / fully present)
-        </label>
-        <div style={{ display:"flex", gap:12, justifyContent:"center", marginTop:24 }}>
-          <button className="btn-primary" onClick={handleLog} disabled={!validDuration}
-            style={{ opacity: validDuration ? 1 : 0.4 }}>✦ Place This Star</button>
+        <p style={{ color:P.muted, fontSize:11, marginBottom:16, textAlign:"center" }}>
+          {upcoming.length > 0
+            ? `Upcoming: ${upcoming.slice(0, 4).map(ds => parseDateStr(ds).toLocaleDateString("en-US", { weekday:"short", month:"short", day:"numeric" })).join(" · ")}${upcoming.length > 4 ? ` +${upcoming.length - 4}` : ""}`
+            : "Tap a day to mark it as rest."}
+        </p>
+        <div style={{ display:"flex", gap:12, justifyContent:"center" }}>
+          <button className="btn-primary" onClick={() => { onSave([...picked].sort()); onClose(); }}>Save</button>
           <button className="btn-ghost" onClick={onClose}>Cancel</button>
         </div>
       </div>
@@ -616,7 +713,8 @@ function LogModal({ onClose, onLog, activities, allEntries }) {
 
 // ─── DYNAMIC REWARD MODAL ────────────────────────────────────────────────────
 
-function PromiseModal({ wk, rk, onClose, onSetPromise, suggestions }) {
+// `period` is "week" or "month" — a monthly intention is honored at the monthly target
+function PromiseModal({ wk, rk, period = "week", onClose, onSetPromise, suggestions }) {
   const [text, setText] = useState("");
   const softSuggestions = suggestions || [
     "A quiet coffee moment",
@@ -629,7 +727,7 @@ function PromiseModal({ wk, rk, onClose, onSetPromise, suggestions }) {
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content modal-reward" onClick={e => e.stopPropagation()}>
         <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:8 }}>
-          This Week
+          {period === "month" ? "This Month" : "This Week"}
         </h2>
         <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:15, lineHeight:1.7, marginBottom:20 }}>
           What's something you care about — or something you'd like to look forward to?
@@ -638,7 +736,7 @@ function PromiseModal({ wk, rk, onClose, onSetPromise, suggestions }) {
           It can be small. It should feel meaningful.
         </p>
         <input type="text" value={text} onChange={e => setText(e.target.value)}
-          placeholder="Something for this week…"
+          placeholder={`Something for this ${period}…`}
           className="onboard-input"
           style={{ marginBottom:16, fontSize:14, padding:"12px 14px" }}
           autoFocus />
@@ -662,14 +760,14 @@ function PromiseModal({ wk, rk, onClose, onSetPromise, suggestions }) {
             onClick={() => { onSetPromise(rk, text.trim()); onClose(); }}>
             I'm committing to this
           </button>
-          <button className="btn-ghost" onClick={onClose}>Not this week</button>
+          <button className="btn-ghost" onClick={onClose}>Not this {period}</button>
         </div>
       </div>
     </div>
   );
 }
 
-function ReflectModal({ wk, rk, promise, exceeded, onClose, onClaim }) {
+function ReflectModal({ wk, rk, period = "week", promise, exceeded, onClose, onClaim }) {
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={e => e.stopPropagation()} style={{ textAlign:"center" }}>
@@ -677,9 +775,13 @@ function ReflectModal({ wk, rk, promise, exceeded, onClose, onClaim }) {
           {exceeded ? "You Went Beyond" : "You Showed Up"}
         </h2>
         <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:14, lineHeight:1.7, marginBottom:20 }}>
-          {exceeded
-            ? "You went beyond what you asked of yourself. That deserves acknowledgment."
-            : "You showed up in a way that aligns with what you said mattered."}
+          {period === "month"
+            ? exceeded
+              ? "A whole month, and you reached the far stars. That deserves real acknowledgment."
+              : "A whole month of showing up for what you said mattered. Your constellation is complete."
+            : exceeded
+              ? "You went beyond what you asked of yourself. That deserves acknowledgment."
+              : "You showed up in a way that aligns with what you said mattered."}
         </p>
         {promise && (
           <div style={{
@@ -687,7 +789,7 @@ function ReflectModal({ wk, rk, promise, exceeded, onClose, onClaim }) {
             padding:"16px 20px", margin:"0 auto 24px", maxWidth:300,
           }}>
             <p style={{ color:P.muted, fontSize:11, marginBottom:6, fontStyle:"italic" }}>
-              This week, you promised yourself:
+              This {period}, you promised yourself:
             </p>
             <p style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:16, fontWeight:500, lineHeight:1.5 }}>
               "{promise}"
@@ -699,7 +801,7 @@ function ReflectModal({ wk, rk, promise, exceeded, onClose, onClaim }) {
             Commit to what I promised myself
           </button>
           <button className="btn-ghost" onClick={onClose} style={{ fontSize:13, color:P.dim }}>
-            Not this week
+            Not this {period}
           </button>
         </div>
       </div>
@@ -707,18 +809,461 @@ function ReflectModal({ wk, rk, promise, exceeded, onClose, onClaim }) {
   );
 }
 
-function CelebrateModal({ promise, onClose }) {
+// Celebrates an honored promise, newly earned achievements, or both.
+// `promise` is undefined when only achievements are being shown.
+function CelebrateModal({ promise, achievements = [], onClose }) {
+  const badges = ACHIEVEMENTS.filter(a => achievements.includes(a.id));
   return (
     <div className="modal-overlay" onClick={onClose}>
       <div className="modal-content" onClick={e => e.stopPropagation()} style={{ textAlign:"center" }}>
-        <div className="celebrate-burst">✦</div>
-        <p style={{ color:P.gold, fontWeight:600, fontSize:16, fontFamily:"'Cormorant Garamond', Georgia, serif", margin:"16px 0" }}>
-          {promise ? `"${promise}"` : "A promise kept."}
+        <div className="celebrate-burst">{badges.length && promise === undefined ? badges[0].glyph : "✦"}</div>
+        {promise !== undefined && (<>
+          <p style={{ color:P.gold, fontWeight:600, fontSize:16, fontFamily:"'Cormorant Garamond', Georgia, serif", margin:"16px 0" }}>
+            {promise ? `"${promise}"` : "A promise kept."}
+          </p>
+          <p style={{ color:P.soft, fontStyle:"italic", fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:14 }}>
+            You honored what mattered to you.
+          </p>
+        </>)}
+        {badges.length > 0 && (
+          <div style={{ marginTop: promise !== undefined ? 20 : 16 }}>
+            <p style={{ color:P.muted, fontSize:11, letterSpacing:1, textTransform:"uppercase", marginBottom:10 }}>
+              {badges.length === 1 ? "Achievement earned" : "Achievements earned"}
+            </p>
+            {badges.map(b => (
+              <div key={b.id} style={{ marginBottom:10 }}>
+                <p style={{ color:P.gold, fontWeight:600, fontSize:16, fontFamily:"'Cormorant Garamond', Georgia, serif" }}>{b.glyph} {b.label}</p>
+                <p style={{ color:P.soft, fontStyle:"italic", fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:14 }}>{b.copy}</p>
+              </div>
+            ))}
+          </div>
+        )}
+        <button className="btn-primary" onClick={onClose} style={{ marginTop:24 }}>Glow On</button>
+      </div>
+    </div>
+  );
+}
+
+// ─── ACHIEVEMENTS GALLERY ────────────────────────────────────────────────────
+
+function AchievementsModal({ earned, onClose }) {
+  const count = ACHIEVEMENTS.filter(a => earned[a.id]).length;
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()} style={{ maxHeight:"80vh", overflowY:"auto" }}>
+        <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:4, textAlign:"center" }}>
+          Achievements
+        </h2>
+        <p style={{ color:P.muted, fontSize:12, textAlign:"center", marginBottom:16 }}>{count} of {ACHIEVEMENTS.length} earned</p>
+        {ACHIEVEMENTS.map(a => {
+          const on = earned[a.id];
+          return (
+            <div key={a.id} style={{
+              display:"flex", gap:12, alignItems:"center", padding:"10px 12px", marginBottom:8, borderRadius:12,
+              background: on ? P.glass : "transparent", border:`1px solid ${on ? P.glassBorder : P.dim + "60"}`,
+              opacity: on ? 1 : 0.55,
+            }}>
+              <span style={{ fontSize:22, color: on ? P.gold : P.dim, width:28, textAlign:"center" }}>{a.glyph}</span>
+              <div style={{ flex:1 }}>
+                <p style={{ color: on ? P.text : P.muted, fontSize:13, fontWeight:600 }}>{a.label}</p>
+                <p style={{ color:P.muted, fontSize:11, fontStyle:"italic", lineHeight:1.4 }}>{a.copy}</p>
+              </div>
+              {on && (
+                <span style={{ color:P.soft, fontSize:10, whiteSpace:"nowrap" }}>
+                  {parseDateStr(on).toLocaleDateString("en-US", { month:"short", day:"numeric", year:"numeric" })}
+                </span>
+              )}
+            </div>
+          );
+        })}
+        <div style={{ textAlign:"center", marginTop:12 }}>
+          <button className="btn-ghost" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── ADAPTIVE TARGET PROPOSAL ────────────────────────────────────────────────
+// Offered at the start of a week when adaptive targets are on and recent weeks
+// suggest the weekly target no longer fits (see proposeTargets in engine.js).
+
+function TargetProposalModal({ proposal, current, onAccept, onDecline }) {
+  const up = proposal.direction === "up";
+  const row = (label, from, to) => (
+    <div style={{ display:"flex", justifyContent:"space-between", fontSize:13, padding:"4px 0" }}>
+      <span style={{ color:P.soft }}>{label}</span>
+      <span><span style={{ color:P.muted }}>{from}</span> <span style={{ color:P.dim }}>→</span> <span style={{ color: up ? P.gold : P.nebula, fontWeight:600 }}>{to}</span></span>
+    </div>
+  );
+  return (
+    <div className="modal-overlay" onClick={onDecline}>
+      <div className="modal-content modal-reward" onClick={e => e.stopPropagation()}>
+        <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:8 }}>
+          {up ? "Reach a Little Further?" : "A Gentler Sky?"}
+        </h2>
+        <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:15, lineHeight:1.7, marginBottom:16 }}>
+          {proposal.reason}
         </p>
-        <p style={{ color:P.soft, fontStyle:"italic", fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:14 }}>
-          You honored what mattered to you.
+        <div style={{ background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14, padding:"10px 16px", marginBottom:20 }}>
+          {row("Weekly", current.weeklyStarTarget, proposal.targets.weeklyStarTarget)}
+          {row("Monthly", current.monthlyTarget, proposal.targets.monthlyTarget)}
+          {row("Stretch", current.monthlyStretch, proposal.targets.monthlyStretch)}
+        </div>
+        <div style={{ display:"flex", gap:12, justifyContent:"center" }}>
+          <button className="btn-primary" onClick={onAccept}>{up ? "Let's try it" : "Yes, ease it"}</button>
+          <button className="btn-ghost" onClick={onDecline}>Keep my targets</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── YEAR IN STARS RECAP ─────────────────────────────────────────────────────
+// A short step-through of the score store's yearStats(), offered in December
+// (and for any past year from the Year view).
+
+function YearRecapModal({ ys, honored, activities, tierDefs, onClose }) {
+  const [step, setStep] = useState(0);
+  const topAct = activities.reduce((best, a) => ((ys.actCounts[a.id] || 0) > (ys.actCounts[best?.id] || 0) ? a : best), null);
+  const monthName = m => new Date(ys.y, m - 1).toLocaleDateString("en-US", { month:"long" });
+  const fmt = ds => parseDateStr(ds).toLocaleDateString("en-US", { month:"short", day:"numeric" });
+  const slides = [
+    { big: ys.pts.toLocaleString(), unit: "starlight", line: `placed across ${ys.activeDays} day${ys.activeDays !== 1 ? "s" : ""} of ${ys.y}.` },
+    { big: ys.minutes.toLocaleString(), unit: "minutes", line: `of movement over ${ys.sessions} session${ys.sessions !== 1 ? "s" : ""}.` },
+    topAct && { big: ys.actCounts[topAct.id], unit: topAct.label.toLowerCase(), line: "sessions — the light you returned to most.", color: topAct.color },
+    ys.mindful > 0 && { big: `${Math.round(ys.mindfulRatio * 100)}%`, unit: "mindful", line: `${ys.mindful} moments fully present.` },
+    ys.bestMonth && { big: monthName(ys.bestMonth.m), unit: "", line: `Your brightest month, with ${ys.bestMonth.pts} starlight.` },
+    (() => {
+      const [top, ...rest] = tiersOf(tierDefs).reverse();
+      return {
+        big: ys.tierCounts[top.tier], unit: `${top.label.toLowerCase()} week${ys.tierCounts[top.tier] !== 1 ? "s" : ""}`, color: tierColor(top),
+        line: rest.length ? `${rest.map(t => `${ys.tierCounts[t.tier]} ${t.label.toLowerCase()}`).join(" · ")}.` : "Weeks you went beyond.",
+      };
+    })(),
+    ys.longestRun && { big: ys.longestRun.length, unit: "day streak", line: `Your longest run, ${fmt(ys.longestRun.start)} – ${fmt(ys.longestRun.end)}.` },
+    honored > 0 && { big: honored, unit: "intentions honored", line: "Promises to yourself, kept." },
+  ].filter(Boolean);
+  const last = step === slides.length;
+  const slide = slides[step];
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()} style={{ textAlign:"center", minHeight:280 }}>
+        <p style={{ color:P.muted, fontSize:11, letterSpacing:1, textTransform:"uppercase", marginBottom:20 }}>
+          {ys.y} in Stars · {Math.min(step + 1, slides.length + 1)}/{slides.length + 1}
         </p>
-        <button className="btn-primary" onClick={onClose} style={{ marginTop:24 }}>Glow On</button>
+        {!last ? (<>
+          <p style={{ color: slide.color || P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:48, fontWeight:700, lineHeight:1.1 }}>{slide.big}</p>
+          {slide.unit && <p style={{ color:P.text, fontSize:14, marginTop:4 }}>{slide.unit}</p>}
+          <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:15, marginTop:16, lineHeight:1.6 }}>{slide.line}</p>
+        </>) : (<>
+          <div className="celebrate-burst">✦</div>
+          <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:16, lineHeight:1.7, marginTop:16 }}>
+            Every one of these was a choice to show up. The sky remembers them all.
+          </p>
+        </>)}
+        <div style={{ display:"flex", gap:12, justifyContent:"center", marginTop:28 }}>
+          {step > 0 && <button className="btn-ghost" onClick={() => setStep(step - 1)}>Back</button>}
+          {last
+            ? <button className="btn-primary" onClick={onClose}>Glow On</button>
+            : <button className="btn-primary" onClick={() => setStep(step + 1)}>Next</button>}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── STARLIGHT BREAKDOWN ─────────────────────────────────────────────────────
+// Line-by-line explanation of a session, from the score store's explain().
+// BreakdownModal shows one from the Now view's entry cards; DayDrawer shows
+// a whole Constellation day. Sessions still inside the backdate window can be
+// edited (and, in the drawer, deleted or added) from here.
+
+// One session's card: label, metrics, mood, note and the starlight lines.
+// `actions` sit beside the total.
+function SessionBreakdown({ entry, total, lines, activities, bestIds, actions }) {
+  const act = activities.find(a => a.id === entry.activity_type);
+  const accent = act?.color || P.nebula;
+  return (
+    <div style={{
+      background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14,
+      padding:"12px 14px", marginBottom:12,
+    }}>
+      <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center", marginBottom:8 }}>
+        <span style={{ color:P.text, fontSize:13, fontWeight:600 }}>
+          <span style={{ color:accent }}>✦</span> {entryLabel(entry, activities)}
+        </span>
+        <span style={{ display:"flex", alignItems:"center", gap:8 }}>
+          {actions}
+          <span style={{ color:accent, fontWeight:700, fontSize:15 }}>+{total}</span>
+        </span>
+      </div>
+      {(entry.note || moodText(entry) || metricText(entry, activities)) && (
+        <div style={{ marginBottom:8 }}>
+          {metricText(entry, activities) && (
+            <p style={{ color:P.soft, fontSize:12 }}>
+              {metricText(entry, activities)}
+              {bestIds.has(entry.id) && <span style={{ color:P.gold, fontWeight:600 }}> · ★ Personal best</span>}
+            </p>
+          )}
+          {moodText(entry) && <p style={{ color:P.soft, fontSize:12 }}>Mood: {moodText(entry)}</p>}
+          {entry.note && (
+            <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:14, lineHeight:1.5, marginTop:2 }}>
+              "{entry.note}"
+            </p>
+          )}
+        </div>
+      )}
+      {lines.map(line => (
+        <div key={line.key} style={{ padding:"5px 0", borderTop:`1px solid ${P.dim}40` }}>
+          <div style={{ display:"flex", justifyContent:"space-between", fontSize:12 }}>
+            <span style={{ color: line.value ? P.soft : P.muted }}>{line.label}</span>
+            <span style={{ color: line.value > 0 ? P.gold : line.value < 0 ? P.muted : P.dim, fontWeight:600 }}>
+              {line.value > 0 ? `+${line.value}` : line.value < 0 ? `−${-line.value}` : "0"}
+            </span>
+          </div>
+          <p style={{ color:P.muted, fontSize:11, marginTop:2 }}>{line.why}</p>
+          {line.hint && <p style={{ color:P.nebula, fontSize:11, fontStyle:"italic", marginTop:1 }}>{line.hint}</p>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function BreakdownModal({ ds, entries, activities, explain, canEdit, onEdit, bestIds, onClose }) {
+  const dayLabel = parseDateStr(ds).toLocaleDateString("en-US", { weekday:"long", month:"long", day:"numeric" });
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()} style={{ maxHeight:"80vh", overflowY:"auto" }}>
+        <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:4, textAlign:"center" }}>
+          Starlight Breakdown
+        </h2>
+        <p style={{ color:P.muted, fontSize:12, textAlign:"center", marginBottom:16 }}>{dayLabel}</p>
+
+        {entries.map(entry => (
+          <SessionBreakdown key={entry.id} entry={entry} {...explain(entry)} activities={activities} bestIds={bestIds}
+            actions={canEdit(entry) && (
+              <button className="btn-ghost" style={{ fontSize:11, padding:"2px 8px" }} onClick={() => onEdit(entry)}>Edit</button>
+            )} />
+        ))}
+
+        <div style={{ textAlign:"center", marginTop:8 }}>
+          <button className="btn-ghost" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// A Constellation day in a bottom drawer: its sessions with their breakdowns,
+// the week's intention, and — inside the backdate window — add, edit and delete.
+// `entries` are read live from the store, so edits show up without reopening.
+function DayDrawer({ ds, entries, activities, explain, isRest, intention, honored, canAdd, canEdit, bestIds, onAdd, onEdit, onDelete, onClose }) {
+  const [confirmDel, setConfirmDel] = useState(null); // entry id awaiting a second tap
+  const dayLabel = parseDateStr(ds).toLocaleDateString("en-US", { weekday:"long", month:"long", day:"numeric" });
+  const breakdowns = entries.map(e => ({ entry: e, ...explain(e) }));
+  const dayTotal = breakdowns.reduce((sum, b) => sum + b.total, 0);
+  return (
+    <div className="modal-overlay drawer-overlay" onClick={onClose}>
+      <div className="drawer-content" onClick={e => e.stopPropagation()}>
+        <div className="drawer-handle" />
+        <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:2, textAlign:"center" }}>
+          {dayLabel}
+        </h2>
+        <p style={{ color:P.muted, fontSize:12, textAlign:"center", marginBottom:16 }}>
+          {entries.length > 0
+            ? `${dayTotal} starlight · ${entries.length} moment${entries.length !== 1 ? "s" : ""}`
+            : isRest ? "☾ Planned rest" : "No moments"}
+        </p>
+
+        {intention && (
+          <p style={{ color:P.soft, fontSize:12, textAlign:"center", marginBottom:16 }}>
+            <span style={{ color:P.muted }}>That week's intention · </span>
+            <span style={{ fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:14 }}>"{intention}"</span>
+            {honored && <span style={{ color:P.gold }}> ✦ honored</span>}
+          </p>
+        )}
+
+        {breakdowns.length === 0 && (
+          <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:14, textAlign:"center", marginBottom:16 }}>
+            {isRest ? "A planned rest day — it keeps your streak and never counts as missed." : "Nothing was placed in the sky this day."}
+          </p>
+        )}
+
+        {breakdowns.map(({ entry, total, lines }) => (
+          <SessionBreakdown key={entry.id} entry={entry} total={total} lines={lines} activities={activities} bestIds={bestIds}
+            actions={canEdit(entry) && (<>
+              <button className="btn-ghost" style={{ fontSize:11, padding:"2px 8px" }} onClick={() => onEdit(entry)}>Edit</button>
+              {confirmDel === entry.id
+                ? <button className="btn-ghost" style={{ fontSize:11, padding:"2px 8px", color:"#FF9C8C" }}
+                    onClick={() => { onDelete(entry.id); setConfirmDel(null); }}>Delete?</button>
+                : <button className="del-btn" title="Delete" onClick={() => setConfirmDel(entry.id)}>×</button>}
+            </>)} />
+        ))}
+
+        <div style={{ display:"flex", gap:12, justifyContent:"center", marginTop:8 }}>
+          {canAdd && <button className="btn-primary" style={{ fontSize:13, padding:"8px 18px" }} onClick={onAdd}>✦ Add a Moment</button>}
+          <button className="btn-ghost" onClick={onClose}>Close</button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// ─── GUIDED PLAYER ───────────────────────────────────────────────────────────
+// Breathing patterns and interval programs (engine GUIDED_PROGRAMS) with an
+// animated star and optional Web Audio chimes at each phase change. Finishing
+// a program logs it as a mindful session; ending early logs nothing.
+
+const CHIME_HZ = { in: 528, hold: 396, out: 440, warm: 396, work: 660, rest: 440, cool: 396, done: 784 };
+
+function playChime(ctx, hz) {
+  const osc = ctx.createOscillator(), gain = ctx.createGain(), t = ctx.currentTime;
+  osc.type = "sine";
+  osc.frequency.value = hz;
+  gain.gain.setValueAtTime(0.0001, t);
+  gain.gain.exponentialRampToValueAtTime(0.2, t + 0.02);
+  gain.gain.exponentialRampToValueAtTime(0.0001, t + 1.2);
+  osc.connect(gain).connect(ctx.destination);
+  osc.start(t);
+  osc.stop(t + 1.3);
+}
+
+// How large the star is drawn for a phase — it swells on the in-breath and on work
+function starScale(at, phases) {
+  const { phase, progress, index } = at;
+  if (phase.cue === "in") return 0.6 + 0.4 * progress;
+  if (phase.cue === "out") return 1 - 0.4 * progress;
+  if (phase.cue === "hold") return phases[index - 1]?.cue === "in" ? 1 : 0.6;
+  return phase.cue === "work" ? 1 : phase.cue === "rest" ? 0.7 : 0.8;
+}
+
+function GuidedPlayer({ activities, clock, onComplete, onClose }) {
+  const pickActivity = p => (activities.find(a => a.id === p.activity) || activities[0])?.id || "";
+  const [programId, setProgramId] = useState(GUIDED_PROGRAMS[0].id);
+  const [settings, setSettings] = useState({}); // overrides of the program's minutes / work / rest / rounds
+  const [activityId, setActivityId] = useState(() => pickActivity(GUIDED_PROGRAMS[0]));
+  const [chimes, setChimes] = useState(true);
+  const [run, setRun] = useState(null); // { phases, startedAt, runningSince, elapsedMs }
+  const [finished, setFinished] = useState(null); // the entry that was logged
+  const [, setTick] = useState(0);
+  const audio = useRef(null);
+  const lastPhase = useRef(-1);
+
+  const program = GUIDED_PROGRAMS.find(p => p.id === programId);
+  const opts = { ...program, ...settings };
+  const act = activities.find(a => a.id === activityId);
+  const accent = act?.color || P.nebula;
+  const at = run ? phaseAt(run.phases, (run.elapsedMs + (run.runningSince ? Date.now() - run.runningSince : 0)) / 1000) : null;
+
+  useEffect(() => () => { audio.current?.close(); }, []);
+
+  useEffect(() => {
+    if (!run?.runningSince) return;
+    const id = setInterval(() => setTick(n => n + 1), 200);
+    return () => clearInterval(id);
+  }, [run?.runningSince]);
+
+  // Chime on each new phase; log the session once the last one ends
+  useEffect(() => {
+    if (!at || at.index === lastPhase.current) return;
+    lastPhase.current = at.index;
+    if (chimes && audio.current) playChime(audio.current, CHIME_HZ[at.done ? "done" : at.phase.cue]);
+    if (at.done) {
+      const entry = {
+        date: todayStr(new Date(run.startedAt), clock), activity_type: activityId,
+        duration_min: Math.max(1, Math.round(programSeconds(run.phases) / 60)), mindful: true, startedAt: run.startedAt,
+      };
+      onComplete(entry);
+      setFinished(entry);
+      setRun(null);
+    }
+  });
+
+  const choose = (p) => { setProgramId(p.id); setSettings({}); setActivityId(pickActivity(p)); };
+  const start = () => {
+    // Browsers only allow audio to begin from a click, so the context is made here
+    const Ctx = window.AudioContext || window.webkitAudioContext;
+    if (chimes && !audio.current && Ctx) audio.current = new Ctx();
+    lastPhase.current = -1;
+    setRun({ phases: programPhases(program, settings), startedAt: new Date().toISOString(), runningSince: Date.now(), elapsedMs: 0 });
+  };
+  const pause = () => setRun(r => ({ ...r, runningSince: null, elapsedMs: r.elapsedMs + Date.now() - r.runningSince }));
+  const resume = () => setRun(r => ({ ...r, runningSince: Date.now() }));
+  const set = key => v => setSettings(s => ({ ...s, [key]: v }));
+
+  const totalLeft = at ? Math.ceil(programSeconds(run.phases.slice(at.index + 1)) + at.remaining) : 0;
+  const fmtSec = sec => `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+
+  return (
+    <div className="modal-overlay" onClick={run ? undefined : onClose}>
+      <div className="modal-content" onClick={e => e.stopPropagation()} style={{ textAlign:"center" }}>
+        {finished ? (<>
+          <div className="celebrate-burst" style={{ color:accent }}>✦</div>
+          <p style={{ color:P.gold, fontWeight:600, fontSize:18, fontFamily:"'Cormorant Garamond', Georgia, serif", margin:"12px 0 6px" }}>
+            Session complete
+          </p>
+          <p style={{ color:P.soft, fontStyle:"italic", fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:14 }}>
+            {finished.duration_min} min of {program.label.toLowerCase()}, placed as a mindful {act?.label.toLowerCase() || "moment"}.
+          </p>
+          <button className="btn-primary" onClick={onClose} style={{ marginTop:24 }}>Glow On</button>
+        </>) : run ? (<>
+          <p style={{ color:P.muted, fontSize:11, letterSpacing:1, textTransform:"uppercase" }}>{program.label}</p>
+          <div className="guided-stage">
+            <span className={`guided-star ${at.phase.cue === "work" && run.runningSince ? "working" : ""}`}
+              style={{ color:accent, transform:`scale(${starScale(at, run.phases)})`, textShadow:`0 0 32px ${accent}` }}>✦</span>
+          </div>
+          <p style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:26, fontWeight:600 }}>{at.phase.label}</p>
+          <p style={{ color:accent, fontSize:20, fontWeight:600, fontVariantNumeric:"tabular-nums", marginTop:4 }}>{Math.ceil(at.remaining)}</p>
+          <p style={{ color:P.muted, fontSize:12, marginTop:8 }}>
+            {at.phase.round > 0 && `Round ${at.phase.round} of ${at.phase.rounds} · `}{fmtSec(totalLeft)} left
+          </p>
+          <div style={{ display:"flex", gap:12, justifyContent:"center", marginTop:24 }}>
+            <button className="btn-primary" onClick={run.runningSince ? pause : resume}>{run.runningSince ? "Pause" : "Resume"}</button>
+            <button className="btn-ghost" onClick={onClose}>End early</button>
+          </div>
+        </>) : (<>
+          <h2 style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:22, fontWeight:600, marginBottom:16 }}>
+            Guided Session
+          </h2>
+          <div style={{ display:"flex", flexDirection:"column", gap:8, marginBottom:16 }}>
+            {GUIDED_PROGRAMS.map(p => (
+              <button key={p.id} onClick={() => choose(p)} className={`guided-option ${p.id === programId ? "active" : ""}`}>
+                <span style={{ color: p.id === programId ? P.text : P.soft, fontSize:14, fontWeight:500 }}>{p.label}</span>
+                <span style={{ color:P.muted, fontSize:11 }}>{p.sub}</span>
+              </button>
+            ))}
+          </div>
+          <div style={{ textAlign:"left", marginBottom:12 }}>
+            {program.kind === "breath" ? (
+              <ScoreStepper label="Length" value={opts.minutes} min={5} max={30} step={5} suffix=" min" color={P.gold} onChange={set("minutes")} />
+            ) : (<>
+              <ScoreStepper label="Rounds" value={opts.rounds} min={2} max={20} step={1} color={P.gold} onChange={set("rounds")} />
+              <ScoreStepper label="Work" value={opts.work} min={15} max={300} step={15} suffix="s" color={P.gold} onChange={set("work")} />
+              <ScoreStepper label="Rest" value={opts.rest} min={15} max={300} step={15} suffix="s" color={P.gold} onChange={set("rest")} />
+            </>)}
+          </div>
+          <div style={{ display:"flex", gap:8, justifyContent:"center", flexWrap:"wrap", marginBottom:16 }}>
+            {activities.map(a => (
+              <button key={a.id} onClick={() => setActivityId(a.id)}
+                className={`activity-btn ${activityId === a.id ? "active" : ""}`}
+                style={{ "--accent": a.color, padding:"6px 14px", fontSize:13 }}>
+                <span className="activity-star">✦</span> {a.label}
+              </button>
+            ))}
+          </div>
+          <label className="flag-label" style={{ "--accent": P.nebula }}>
+            <input type="checkbox" checked={chimes} onChange={e => setChimes(e.target.checked)} />
+            Soft chimes between phases
+          </label>
+          <p style={{ color:P.muted, fontSize:11, marginTop:12 }}>
+            {Math.round(programSeconds(programPhases(program, settings)) / 60)} min · logs itself as a mindful moment when you finish
+          </p>
+          <div style={{ display:"flex", gap:12, justifyContent:"center", marginTop:20 }}>
+            <button className="btn-primary" disabled={!activityId} onClick={start}>✦ Begin</button>
+            <button className="btn-ghost" onClick={onClose}>Cancel</button>
+          </div>
+        </>)}
       </div>
     </div>
   );
@@ -946,10 +1491,10 @@ CRITICAL GUIDELINES BASED ON THEIR ANSWERS:
 - Tone preference "${answers.tone_preference || ""}" → inform the explanation voice
 - Boundaries: "${(answers.boundaries || []).join(", ")}" → NEVER include these in rewards or language
 
-THE SCORING MODEL (do NOT change this, it is built into the app):
-- Every logged session ALWAYS earns at least 10 starlight — no minimums, no zero states
-- Presence bonus: +5 starlight if the session is mindful/phone-free (additive, max 1 per day)
-- Return-light bonus: +5 to +10 for coming back after missed days (additive)
+THE SCORING MODEL (the app's defaults — the user can fine-tune these later in Settings, so do not invent other rules):
+- Every logged session ALWAYS earns at least ${DEFAULT_SCORING.base} starlight — no minimums, no zero states
+- A mindful (phone-free / fully present) session adds a +${DEFAULT_SCORING.presenceBonus} presence bonus, once per day
+- Return-light bonus: +${DEFAULT_SCORING.returnCurve[1]} to +${DEFAULT_SCORING.returnCurve[DEFAULT_SCORING.returnCurve.length - 1]} for coming back after missed days (additive)
 - Pacing: diminishing returns on BONUSES only for 2nd+ sessions per day — base is always full
 - There are 3 weekly tiers: Bronze (50% of weeklyStarTarget), Silver (100%), Gold (150%). Users unlock rewards at Silver.
 - minDuration is a suggested session length, NOT a minimum to earn starlight.
@@ -1053,9 +1598,7 @@ RULES FOR REWARDS (flat list of 6-8 items):
   // Final save
   const handleLaunch = async () => {
     // Compute current week key for the first promise
-    const now = new Date();
-    const wk = Math.ceil(now.getDate() / 7);
-    const rk = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, "0")}-W${wk}`;
+    const rk = weekKeyOf(todayStr());
     const firstPromise = walkthroughReward.trim() ? { [rk]: walkthroughReward.trim() } : {};
 
     const userData = {
@@ -1260,8 +1803,8 @@ RULES FOR REWARDS (flat list of 6-8 items):
                 </h2>
                 <div style={{ textAlign: "left", maxWidth: 310, margin: "0 auto 32px" }}>
                   {[
-                    { text: "Each activity earns at least 10 starlight", color: P.aurora },
-                    { text: "Harder tasks and longer sessions earn more", color: P.gold },
+                    { text: `Every moment earns ${DEFAULT_SCORING.base} starlight`, color: P.aurora },
+                    { text: "Mindful, phone-free sessions add a presence glow", color: P.gold },
                     { text: "Consistency builds momentum and light", color: P.nebula },
                   ].map((item, i) => (
                     <div key={i} style={{ display: "flex", alignItems: "baseline", gap: 12, marginBottom: 20 }}>
@@ -1273,14 +1816,10 @@ RULES FOR REWARDS (flat list of 6-8 items):
                   ))}
                 </div>
                 <div style={{ display: "flex", justifyContent: "center", gap: 16, maxWidth: 340, margin: "0 auto 36px" }}>
-                  {[
-                    { label: "Bronze", sub: "You showed up", color: P.tierBronze },
-                    { label: "Silver", sub: "You committed", color: P.tierSilver },
-                    { label: "Gold", sub: "You exceeded", color: P.tierGold },
-                  ].map(t => (
+                  {tiersOf().map(t => (
                     <div key={t.label} style={{ textAlign: "center", flex: 1, padding: "14px 8px", background: P.glass, border: `1px solid ${P.glassBorder}`, borderRadius: 16 }}>
-                      <span style={{ color: t.color, fontSize: 22, display: "block", marginBottom: 8 }}>✦</span>
-                      <p style={{ color: t.color, fontSize: 13, fontWeight: 600, marginBottom: 4 }}>{t.label}</p>
+                      <span style={{ color: tierColor(t), fontSize: 22, display: "block", marginBottom: 8 }}>✦</span>
+                      <p style={{ color: tierColor(t), fontSize: 13, fontWeight: 600, marginBottom: 4 }}>{t.label}</p>
                       <p style={{ color: P.muted, fontSize: 11, lineHeight: 1.4 }}>{t.sub}</p>
                     </div>
                   ))}
@@ -1379,8 +1918,32 @@ RULES FOR REWARDS (flat list of 6-8 items):
 
 // ─── SETTINGS & ACCOUNT MODAL ────────────────────────────────────────────────
 
+// A − value + row in the Scoring tab (same look as the Goals tab target rows)
+function ScoreStepper({ label, sub, value, min, max, step, suffix = "", color = P.text, disabled = false, onChange }) {
+  return (
+    <div className="target-row" style={{ opacity: disabled ? 0.4 : 1 }}>
+      <div>
+        <span style={{ color:P.text, fontSize:14 }}>{label}</span>
+        {sub && <p style={{ color:P.muted, fontSize:11 }}>{sub}</p>}
+      </div>
+      <div style={{ display:"flex", alignItems:"center", gap:10 }}>
+        <button className="target-btn" disabled={disabled} onClick={() => onChange(Math.max(min, value - step))}>−</button>
+        <span style={{ color, fontSize:18, fontWeight:600, fontFamily:"'Cormorant Garamond', Georgia, serif", minWidth:36, textAlign:"center" }}>
+          {value}{suffix}
+        </span>
+        <button className="target-btn" disabled={disabled} onClick={() => onChange(Math.min(max, value + step))}>+</button>
+      </div>
+    </div>
+  );
+}
+
+const TIER_PCT_MIN = 0.1, TIER_PCT_MAX = 3; // a tier takes 10%–300% of the weekly goal
+const MAX_TEMPLATES = 6; // pinned quick-log favorites
+const RECENT_CHIPS = 3;  // recent sessions offered beside them
+const UNDO_TOAST_MS = 5000;
+
 function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, onUpdateData }) {
-  const [tab, setTab] = useState("account"); // account | activities | goals
+  const [tab, setTab] = useState("account"); // account | activities | scoring | goals
   const [confirmDelete, setConfirmDelete] = useState(false);
   const [deleteLoading, setDeleteLoading] = useState(false);
   const [deleteError, setDeleteError] = useState("");
@@ -1400,11 +1963,58 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
   const [customLabel, setCustomLabel] = useState("");
   const [customColor, setCustomColor] = useState(ACTIVITY_PRESETS[2]?.color || "#6EFFC5");
   const [customDuration, setCustomDuration] = useState(20);
+  const [customMetrics, setCustomMetrics] = useState([]); // METRIC_TYPES keys to track
+  const [customUnit, setCustomUnit] = useState(METRIC_TYPES.distance.units[0]);
+  const [editTemplates, setEditTemplates] = useState(() => userData?.templates || []);
+  const [tplActivity, setTplActivity] = useState(userData?.activities?.[0]?.id || "");
+  const [tplDuration, setTplDuration] = useState(30);
+  const [tplMindful, setTplMindful] = useState(false);
+
+  // ── Scoring tab state ──
+  const [editScoring, setEditScoring] = useState(() => scoringOf(userData?.scoring));
+  const setCurvePoint = (key, i, value) => setEditScoring(sc => ({
+    ...sc, [key]: sc[key].map((v, j) => j === i ? value : v),
+  }));
+
+  // Live preview: the last two weeks scored by the saved profile vs. the one being edited
+  const scoringPreview = useMemo(() => {
+    const entries = userData?.entries || [];
+    const acts = userData?.activities || [];
+    const rules = scoreRulesOf(userData);
+    const before = createScoreStore(entries, acts, rules);
+    const after = createScoreStore(entries, acts, { ...rules, scoring: editScoring });
+    const today = todayStr(new Date(), rules);
+    const days = Array.from({ length: 14 }, (_, i) => {
+      const ds = addDays(today, i - 13);
+      return { ds, before: before.dayStars(ds), after: after.dayStars(ds) };
+    });
+    return {
+      days,
+      before: days.reduce((t, d) => t + d.before, 0),
+      after: days.reduce((t, d) => t + d.after, 0),
+    };
+  }, [userData, editScoring]);
 
   // ── Goals tab state ──
   const [editTargets, setEditTargets] = useState(() => ({
     ...(userData?.targets || DEFAULT_TARGETS)
   }));
+  const [editWeekStart, setEditWeekStart] = useState(userData?.settings?.weekStart ?? DEFAULT_WEEK_START);
+  const [editTimezone, setEditTimezone] = useState(clockOf(userData?.settings).timezone);
+  const [editCutoff, setEditCutoff] = useState(clockOf(userData?.settings).dayCutoffHour);
+  // Tier rows stay sorted by threshold so their colors match the constellation
+  const editTiers = tiersOf(editTargets.tiers).map(({ label, sub, pct }) => ({ label, sub, pct }));
+  const setTier = (i, patch) => setEditTargets(t => ({
+    ...t, tiers: editTiers.map((tier, j) => j === i ? { ...tier, ...patch } : tier).sort((a, b) => a.pct - b.pct),
+  }));
+  const removeTier = (i) => setEditTargets(t => ({ ...t, tiers: editTiers.filter((_, j) => j !== i) }));
+  const addTier = () => setEditTargets(t => ({
+    ...t, tiers: [...editTiers, { label: "New tier", sub: "", pct: Math.min(TIER_PCT_MAX, Math.round((editTiers[editTiers.length - 1].pct + 0.5) * 10) / 10) }],
+  }));
+  const timezoneOptions = useMemo(() => {
+    const zones = typeof Intl.supportedValuesOf === "function" ? Intl.supportedValuesOf("timeZone") : [];
+    return editTimezone && !zones.includes(editTimezone) ? [editTimezone, ...zones] : zones;
+  }, [editTimezone]);
 
   const providerIds = user.providerData?.map(p => p.providerId) || [];
   const isGoogle = providerIds.includes("google.com");
@@ -1427,16 +2037,57 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
 
   // ── Save activities ──
   const saveActivities = () => {
-    onUpdateData({ activities: editActivities });
+    // Favorites for removed activities go with them
+    const templates = editTemplates.filter(t => editActivities.some(a => a.id === t.activity_type));
+    setEditTemplates(templates);
+    onUpdateData({ activities: editActivities, templates });
+    flashSaved();
+  };
+
+  // ── Save scoring ──
+  const saveScoring = () => {
+    onUpdateData({ scoring: editScoring });
     flashSaved();
   };
 
   // ── Save goals ──
   const saveGoals = () => {
-    onUpdateData({ targets: editTargets });
+    const update = { targets: { ...editTargets, tiers: editTiers.map(t => ({ ...t, label: t.label.trim() || "Unnamed", sub: t.sub.trim() })) } };
+    const settings = userData?.settings || {};
+    // Goal and tier edits are recorded like accepted proposals, so they apply
+    // from this week on and finished weeks keep the targets they had. Unset
+    // tiers mean the defaults, so compare them as tiersOf sees them.
+    const pick = t => ({
+      weeklyStarTarget: t.weeklyStarTarget, monthlyTarget: t.monthlyTarget, monthlyStretch: t.monthlyStretch, tiers: t.tiers ?? null,
+    });
+    const goalsOf = t => ({ ...pick(t), tiers: tiersOf(t.tiers).map(({ label, sub, pct }) => ({ label, sub, pct })) });
+    const saved = userData?.targets || DEFAULT_TARGETS;
+    if (JSON.stringify(goalsOf(saved)) !== JSON.stringify(goalsOf(update.targets))) {
+      const today = todayStr(new Date(), clockOf(settings));
+      update.targetHistory = [...(userData?.targetHistory || []), {
+        week: weekKeyOf(today, settings.weekStart ?? DEFAULT_WEEK_START), date: today, manual: true,
+        from: pick(saved), to: pick(update.targets), accepted: true,
+      }];
+    }
+    const timezone = isValidTimezone(editTimezone) ? editTimezone : "";
+    if (editWeekStart !== (settings.weekStart ?? DEFAULT_WEEK_START)) {
+      // Intentions, honored weeks and target changes move to the week that now holds their start day
+      Object.assign(update, rekeyWeeks(userData?.promises, userData?.claimed, editWeekStart, update.targetHistory ?? userData?.targetHistory));
+    }
+    if (editWeekStart !== (settings.weekStart ?? DEFAULT_WEEK_START) || timezone !== clockOf(settings).timezone || editCutoff !== clockOf(settings).dayCutoffHour) {
+      update.settings = { ...settings, weekStart: editWeekStart, timezone, dayCutoffHour: editCutoff };
+    }
+    onUpdateData(update);
     flashSaved();
   };
 
+  // ── Quick-log favorites ──
+  const addTemplate = () => {
+    const tpl = { activity_type: tplActivity, duration_min: tplDuration, mindful: tplMindful };
+    if (editTemplates.some(t => sessionShape(t) === sessionShape(tpl))) return;
+    setEditTemplates(prev => [...prev, { id: newEntryId(), ...tpl }]);
+  };
+
   // ── Add preset activity ──
   const addPreset = (preset) => {
     if (editActivities.some(a => a.id === preset.id)) return;
@@ -1454,9 +2105,11 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
       id, label: customLabel.trim(), color: customColor, colorLight,
       minDuration: customDuration, baseStars: 1, midDuration: null, midStars: null,
       bonusLabel: "Mindful session", bonusStars: 1,
+      metrics: Object.keys(METRIC_TYPES).filter(key => customMetrics.includes(key))
+        .map(key => key === "distance" ? { key, unit: customUnit } : { key }),
     };
     setEditActivities(prev => [...prev, newAct]);
-    setCustomLabel(""); setCustomDuration(20); setShowCustomForm(false);
+    setCustomLabel(""); setCustomDuration(20); setCustomMetrics([]); setShowCustomForm(false);
   };
 
   // ── Remove activity ──
@@ -1537,6 +2190,7 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
         <div style={{ display:"flex", gap:4, marginBottom:20 }}>
           <button style={tabStyle("account")} onClick={() => setTab("account")}>Account</button>
           <button style={tabStyle("activities")} onClick={() => setTab("activities")}>Activities</button>
+          <button style={tabStyle("scoring")} onClick={() => setTab("scoring")}>Scoring</button>
           <button style={tabStyle("goals")} onClick={() => setTab("goals")}>Goals</button>
         </div>
 
@@ -1740,6 +2394,16 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
                   <div style={{ flex:1 }}>
                     <span style={{ color:P.text, fontSize:14, fontWeight:500 }}>{act.label}</span>
                     <span style={{ color:P.muted, fontSize:11, marginLeft:8 }}>{act.minDuration}+ min</span>
+                    {editScoring.mode === "activity" && (() => {
+                      const r = activityRules(act);
+                      return (
+                        <p style={{ color:P.muted, fontSize:10, marginTop:2 }}>
+                          {r.baseStars * STARLIGHT_PER_STAR}
+                          {r.midDuration && r.midStars ? ` · ${r.midStars * STARLIGHT_PER_STAR} at ${r.midDuration}+ min` : ""}
+                          {` · ${r.bonusLabel} +${r.bonusStars * STARLIGHT_PER_STAR}`}
+                        </p>
+                      );
+                    })()}
                   </div>
                   {editActivities.length > 1 && (
                     <button onClick={() => removeActivity(act.id)}
@@ -1823,6 +2487,35 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
                       }}>{d}</button>
                   ))}
                 </div>
+                <div style={{ display:"flex", alignItems:"center", gap:6, marginBottom:customMetrics.includes("distance") ? 8 : 12, flexWrap:"wrap" }}>
+                  <span style={{ color:P.muted, fontSize:12, marginRight:2 }}>Track:</span>
+                  {Object.entries(METRIC_TYPES).map(([key, type]) => (
+                    <button key={key} title={type.sub}
+                      onClick={() => setCustomMetrics(list => list.includes(key) ? list.filter(k => k !== key) : [...list, key])}
+                      style={{
+                        padding:"4px 10px", borderRadius:8, fontSize:12, cursor:"pointer",
+                        background: customMetrics.includes(key) ? P.nebula : "transparent",
+                        color: customMetrics.includes(key) ? P.text : P.muted,
+                        border:`1px solid ${customMetrics.includes(key) ? P.nebula : P.dim}`,
+                        fontFamily:"'Inter', sans-serif", transition:"all 0.15s",
+                      }}>{type.label}</button>
+                  ))}
+                </div>
+                {customMetrics.includes("distance") && (
+                  <div style={{ display:"flex", alignItems:"center", gap:6, marginBottom:12 }}>
+                    <span style={{ color:P.muted, fontSize:12, marginRight:2 }}>Distance in:</span>
+                    {METRIC_TYPES.distance.units.map(unit => (
+                      <button key={unit} onClick={() => setCustomUnit(unit)}
+                        style={{
+                          padding:"4px 10px", borderRadius:8, fontSize:12, cursor:"pointer",
+                          background: customUnit === unit ? P.nebula : "transparent",
+                          color: customUnit === unit ? P.text : P.muted,
+                          border:`1px solid ${customUnit === unit ? P.nebula : P.dim}`,
+                          fontFamily:"'Inter', sans-serif", transition:"all 0.15s",
+                        }}>{unit}</button>
+                    ))}
+                  </div>
+                )}
                 <div style={{ display:"flex", gap:8 }}>
                   <button className="btn-primary" onClick={addCustomActivity}
                     disabled={!customLabel.trim()} style={{ fontSize:13, padding:"8px 18px" }}>
@@ -1835,6 +2528,68 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
             )}
           </div>
 
+          <div className="settings-section">
+            <h4 className="settings-section-title">Quick-Log Favorites</h4>
+            <p style={{ color:P.muted, fontSize:12, marginBottom:14, lineHeight:1.5 }}>
+              Pinned sessions appear on the Now view and log in one tap.
+            </p>
+            <div style={{ display:"flex", flexDirection:"column", gap:6, marginBottom:12 }}>
+              {editTemplates.map(t => {
+                const act = editActivities.find(a => a.id === t.activity_type);
+                return (
+                  <div key={t.id} style={{
+                    display:"flex", alignItems:"center", gap:10, padding:"8px 14px",
+                    background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:12,
+                    opacity: act ? 1 : 0.4,
+                  }}>
+                    <span style={{ color:act?.color || P.dim }}>★</span>
+                    <span style={{ flex:1, color:P.text, fontSize:13 }}>
+                      {act?.label || t.activity_type} · {t.duration_min} min
+                      {t.mindful && <span style={{ color:P.gold }}> ✦</span>}
+                    </span>
+                    <button onClick={() => setEditTemplates(prev => prev.filter(x => x.id !== t.id))}
+                      style={{ background:"none", border:"none", color:P.dim, cursor:"pointer", fontSize:16, padding:"0 4px" }}>×</button>
+                  </div>
+                );
+              })}
+              {editTemplates.length === 0 && (
+                <p style={{ color:P.dim, fontSize:12, fontStyle:"italic" }}>No favorites yet.</p>
+              )}
+            </div>
+            {editTemplates.length < MAX_TEMPLATES && (
+              <div style={{ background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14, padding:14 }}>
+                <div style={{ display:"flex", flexWrap:"wrap", gap:6, marginBottom:10 }}>
+                  {editActivities.map(a => (
+                    <button key={a.id} onClick={() => setTplActivity(a.id)}
+                      className={`activity-btn ${tplActivity === a.id ? "active" : ""}`}
+                      style={{ "--accent": a.color, padding:"4px 12px", fontSize:12 }}>{a.label}</button>
+                  ))}
+                </div>
+                <div style={{ display:"flex", alignItems:"center", gap:8, marginBottom:10, flexWrap:"wrap" }}>
+                  <span style={{ color:P.muted, fontSize:12 }}>Minutes:</span>
+                  {[10,15,20,30,45,60].map(d => (
+                    <button key={d} onClick={() => setTplDuration(d)}
+                      style={{
+                        padding:"4px 10px", borderRadius:8, fontSize:12, cursor:"pointer",
+                        background: tplDuration === d ? P.nebula : "transparent",
+                        color: tplDuration === d ? P.text : P.muted,
+                        border:`1px solid ${tplDuration === d ? P.nebula : P.dim}`,
+                        fontFamily:"'Inter', sans-serif", transition:"all 0.15s",
+                      }}>{d}</button>
+                  ))}
+                </div>
+                <label className="flag-label" style={{ "--accent": P.gold, justifyContent:"flex-start", marginBottom:10 }}>
+                  <input type="checkbox" checked={tplMindful} onChange={e => setTplMindful(e.target.checked)} />
+                  <span className="flag-star">✦</span> Mindful
+                </label>
+                <button className="btn-ghost" disabled={!editActivities.some(a => a.id === tplActivity)} onClick={addTemplate}
+                  style={{ fontSize:12, color:P.nebula, padding:"6px 14px", border:`1px solid ${P.dim}`, borderRadius:10 }}>
+                  ★ Pin favorite
+                </button>
+              </div>
+            )}
+          </div>
+
           <div style={{ textAlign:"center", marginTop:16 }}>
             <button className="btn-primary" onClick={saveActivities} style={{ padding:"10px 32px", fontSize:14 }}>
               Save Activities
@@ -1842,6 +2597,101 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
           </div>
         </>)}
 
+        {/* ═══════ SCORING TAB ═══════ */}
+        {tab === "scoring" && (<>
+          <div className="settings-section">
+            <h4 className="settings-section-title">How Starlight Is Earned</h4>
+            <label className="flag-label" style={{ "--accent": P.nebula, justifyContent:"flex-start", marginBottom:8 }}>
+              <input type="checkbox" checked={editScoring.mode === "activity"}
+                onChange={e => setEditScoring(sc => ({ ...sc, mode: e.target.checked ? "activity" : "flat" }))} />
+              <span style={{ color:P.text }}>Score by each activity's own rules</span>
+            </label>
+            <p style={{ color:P.muted, fontSize:11, lineHeight:1.5, marginBottom:10, paddingLeft:24 }}>
+              Longer sessions reach higher tiers, and each activity's bonus adds its own glow.
+              When off, every session earns the same.
+            </p>
+            <label className="flag-label" style={{ "--accent": P.gold, justifyContent:"flex-start",
+              opacity: editScoring.mode === "activity" ? 1 : 0.4 }}>
+              <input type="checkbox" checked={editScoring.floor} disabled={editScoring.mode !== "activity"}
+                onChange={e => setEditScoring(sc => ({ ...sc, floor: e.target.checked }))} />
+              <span style={{ color:P.text }}>Never below the base</span>
+            </label>
+          </div>
+
+          <div className="settings-section">
+            <h4 className="settings-section-title">Base & Presence</h4>
+            <ScoreStepper label="Base starlight" sub={editScoring.mode === "activity" ? "The floor for every session" : "Earned by every session"}
+              value={editScoring.base} min={5} max={30} step={5} color={P.gold}
+              onChange={v => setEditScoring(sc => ({ ...sc, base: v }))} />
+            <ScoreStepper label="Presence bonus" sub={editScoring.mode === "activity" ? "Each activity's own bonus applies instead" : "For a mindful session"}
+              value={editScoring.presenceBonus} min={0} max={20} step={1} color={P.gold} disabled={editScoring.mode === "activity"}
+              onChange={v => setEditScoring(sc => ({ ...sc, presenceBonus: v }))} />
+            <ScoreStepper label="Presence per day" sub="Mindful sessions that earn it (0 for none)"
+              value={editScoring.presenceCap} min={0} max={5} step={1} color={P.gold} disabled={editScoring.mode === "activity"}
+              onChange={v => setEditScoring(sc => ({ ...sc, presenceCap: v }))} />
+          </div>
+
+          <div className="settings-section">
+            <h4 className="settings-section-title">Return Light</h4>
+            {editScoring.returnCurve.slice(1).map((v, i) => (
+              <ScoreStepper key={i}
+                label={i === editScoring.returnCurve.length - 2 ? `${i + 1}+ days away` : `${i + 1} day${i ? "s" : ""} away`}
+                value={v} min={0} max={30} step={1} color={P.nebula}
+                onChange={nv => setCurvePoint("returnCurve", i + 1, nv)} />
+            ))}
+          </div>
+
+          <div className="settings-section">
+            <h4 className="settings-section-title">Pacing</h4>
+            <p style={{ color:P.muted, fontSize:11, lineHeight:1.5, marginBottom:6 }}>
+              Later sessions in a day keep their full base — only bonuses soften.
+            </p>
+            {editScoring.pacingCurve.slice(1).map((v, i) => (
+              <ScoreStepper key={i}
+                label={`${["2nd", "3rd", "4th"][i] || `${i + 2}th`} session${i === editScoring.pacingCurve.length - 2 ? " and later" : ""}`}
+                value={Math.round(v * 100)} min={0} max={100} step={5} suffix="%" color={P.aurora}
+                onChange={nv => setCurvePoint("pacingCurve", i + 1, nv / 100)} />
+            ))}
+          </div>
+
+          {/* Live preview — the last two weeks, re-scored */}
+          <div style={{
+            background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14,
+            padding:"12px 16px", marginBottom:16,
+          }}>
+            <p style={{ color:P.muted, fontSize:11, marginBottom:6 }}>Your last two weeks, re-scored</p>
+            <div style={{ display:"grid", gridTemplateColumns:"repeat(7,1fr)", gap:4, marginBottom:8 }}>
+              {scoringPreview.days.map(d => {
+                const delta = d.after - d.before;
+                return (
+                  <div key={d.ds} style={{ textAlign:"center" }}>
+                    <span style={{ display:"block", color:P.dim, fontSize:9 }}>
+                      {parseDateStr(d.ds).toLocaleDateString("en-US", { weekday:"narrow" })}
+                    </span>
+                    <span style={{ display:"block", color: d.after ? P.text : P.dim, fontSize:12, fontWeight:600 }}>{d.after || "·"}</span>
+                    {delta !== 0 && (
+                      <span style={{ display:"block", color: delta > 0 ? P.aurora : P.tierBronze, fontSize:9 }}>
+                        {delta > 0 ? "+" : ""}{delta}
+                      </span>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+            <p style={{ color:P.soft, fontSize:12 }}>
+              <span style={{ color:P.muted }}>{scoringPreview.before}</span> → <span style={{ color:P.gold, fontWeight:600 }}>{scoringPreview.after}</span> starlight
+            </p>
+          </div>
+
+          <div style={{ display:"flex", gap:8, justifyContent:"center" }}>
+            <button className="btn-primary" onClick={saveScoring} style={{ padding:"10px 32px", fontSize:14 }}>
+              Save Scoring
+            </button>
+            <button className="btn-ghost" onClick={() => setEditScoring(scoringOf({ mode: editScoring.mode }))}
+              style={{ fontSize:12 }}>Reset to defaults</button>
+          </div>
+        </>)}
+
         {/* ═══════ GOALS TAB ═══════ */}
         {tab === "goals" && (<>
           <div className="settings-section">
@@ -1875,7 +2725,7 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
             <div className="target-row">
               <div>
                 <span style={{ color:P.text, fontSize:14 }}>Weekly starlight goal</span>
-                <p style={{ color:P.muted, fontSize:11 }}>Starlight to reach Silver tier</p>
+                <p style={{ color:P.muted, fontSize:11 }}>Starlight for a 100% week — tiers scale from it</p>
               </div>
               <div style={{ display:"flex", alignItems:"center", gap:10 }}>
                 <button className="target-btn" onClick={() => setEditTargets(t => ({
@@ -1915,20 +2765,134 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
                 <span style={{ color:P.text, fontSize:14 }}>Stretch goal</span>
                 <p style={{ color:P.muted, fontSize:11 }}>Ambitious monthly reach</p>
               </div>
-              <div style={{ display:"flex", alignItems:"center", gap:10 }}>
-                <button className="target-btn" onClick={() => setEditTargets(t => ({
-                  ...t, monthlyStretch: Math.max(t.monthlyTarget + 10, t.monthlyStretch - 50),
-                }))}>−</button>
-                <span style={{ color:P.gold, fontSize:18, fontWeight:600, fontFamily:"'Cormorant Garamond', Georgia, serif", minWidth:36, textAlign:"center" }}>
-                  {editTargets.monthlyStretch}
-                </span>
-                <button className="target-btn" onClick={() => setEditTargets(t => ({
-                  ...t, monthlyStretch: Math.min(1500, t.monthlyStretch + 50),
-                }))}>+</button>
+              <div style={{ display:"flex", alignItems:"center", gap:10 }}>
+                <button className="target-btn" onClick={() => setEditTargets(t => ({
+                  ...t, monthlyStretch: Math.max(t.monthlyTarget + 10, t.monthlyStretch - 50),
+                }))}>−</button>
+                <span style={{ color:P.gold, fontSize:18, fontWeight:600, fontFamily:"'Cormorant Garamond', Georgia, serif", minWidth:36, textAlign:"center" }}>
+                  {editTargets.monthlyStretch}
+                </span>
+                <button className="target-btn" onClick={() => setEditTargets(t => ({
+                  ...t, monthlyStretch: Math.min(1500, t.monthlyStretch + 50),
+                }))}>+</button>
+              </div>
+            </div>
+          </div>
+
+          <div className="settings-section">
+            <h4 className="settings-section-title">Weekly Tiers</h4>
+            <p style={{ color:P.muted, fontSize:12, marginBottom:16, lineHeight:1.5 }}>
+              Name your tiers and set how much of your weekly goal each one takes. Your highest tier banks streak freezes.
+            </p>
+            {tierLadder(editTargets.weeklyStarTarget, editTiers).map((t, i) => (
+              <div key={i} className="target-row" style={i === editTiers.length - 1 ? { borderBottom:"none" } : undefined}>
+                <div style={{ display:"flex", flexDirection:"column", gap:4, flex:1, minWidth:0, marginRight:10 }}>
+                  <input className="onboard-input" value={t.label} maxLength={20} placeholder="Tier name"
+                    onChange={e => setTier(i, { label: e.target.value })}
+                    style={{ fontSize:13, padding:"4px 8px", color:tierColor(t) }} />
+                  <input className="onboard-input" value={t.sub} maxLength={40} placeholder="What it means"
+                    onChange={e => setTier(i, { sub: e.target.value })}
+                    style={{ fontSize:11, padding:"4px 8px" }} />
+                </div>
+                <div style={{ display:"flex", alignItems:"center", gap:6 }}>
+                  <button className="target-btn" onClick={() => setTier(i, { pct: Math.max(TIER_PCT_MIN, Math.round((t.pct - 0.1) * 10) / 10) })}>−</button>
+                  <span style={{ color:tierColor(t), fontSize:14, fontWeight:600, minWidth:44, textAlign:"center" }} title={`${t.threshold} starlight`}>
+                    {Math.round(t.pct * 100)}%
+                  </span>
+                  <button className="target-btn" onClick={() => setTier(i, { pct: Math.min(TIER_PCT_MAX, Math.round((t.pct + 0.1) * 10) / 10) })}>+</button>
+                  <button className="btn-ghost" disabled={editTiers.length <= 1} onClick={() => removeTier(i)}
+                    style={{ fontSize:14, padding:"2px 6px", color:P.muted, opacity: editTiers.length <= 1 ? 0.3 : 1 }}
+                    title="Remove tier">✕</button>
+                </div>
+              </div>
+            ))}
+            <div style={{ display:"flex", justifyContent:"space-between", marginTop:10 }}>
+              <button className="btn-ghost" style={{ fontSize:12, color:P.nebula }} disabled={editTiers.length >= MAX_TIERS} onClick={addTier}>
+                + Add tier
+              </button>
+              <button className="btn-ghost" style={{ fontSize:12, color:P.muted }} onClick={() => setEditTargets(t => ({ ...t, tiers: DEFAULT_TIERS }))}>
+                Reset to Bronze · Silver · Gold
+              </button>
+            </div>
+          </div>
+
+          <div className="settings-section">
+            <h4 className="settings-section-title">Your Day & Week</h4>
+            <p style={{ color:P.muted, fontSize:12, marginBottom:16, lineHeight:1.5 }}>
+              Where your days begin and end. Streaks, weeks and "today" all follow this, wherever you log from.
+            </p>
+
+            {/* Week start */}
+            <div className="target-row">
+              <div>
+                <span style={{ color:P.text, fontSize:14 }}>Week starts on</span>
+                <p style={{ color:P.muted, fontSize:11 }}>Weekly tiers and intentions follow this</p>
+              </div>
+              <div style={{ display:"flex", alignItems:"center", gap:6 }}>
+                {[[1, "Mon"], [0, "Sun"]].map(([d, label]) => (
+                  <button key={d} className="btn-ghost" onClick={() => setEditWeekStart(d)}
+                    style={{
+                      fontSize:12, padding:"4px 12px", borderRadius:10,
+                      color: editWeekStart === d ? P.nebula : P.muted,
+                      border:`1px solid ${editWeekStart === d ? P.nebula : P.glassBorder}`,
+                    }}>{label}</button>
+                ))}
+              </div>
+            </div>
+
+            {/* Home timezone */}
+            <div className="target-row">
+              <div>
+                <span style={{ color:P.text, fontSize:14 }}>Home timezone</span>
+                <p style={{ color:P.muted, fontSize:11 }}>Keeps your days steady while traveling</p>
+              </div>
+              <select value={editTimezone} onChange={e => setEditTimezone(e.target.value)}
+                className="onboard-input" style={{ width:170, fontSize:12, padding:"6px 8px" }}>
+                <option value="">This device ({deviceTimezone() || "local"})</option>
+                {timezoneOptions.map(tz => <option key={tz} value={tz}>{tz.replace(/_/g, " ")}</option>)}
+              </select>
+            </div>
+
+            {/* Day cutoff */}
+            <div className="target-row" style={{ borderBottom:"none" }}>
+              <div>
+                <span style={{ color:P.text, fontSize:14 }}>Day ends at</span>
+                <p style={{ color:P.muted, fontSize:11 }}>Late-night moments count for the day before</p>
+              </div>
+              <div style={{ display:"flex", alignItems:"center", gap:6 }}>
+                {[[0, "Midnight"], [3, "3am"]].map(([h, label]) => (
+                  <button key={h} className="btn-ghost" onClick={() => setEditCutoff(h)}
+                    style={{
+                      fontSize:12, padding:"4px 12px", borderRadius:10,
+                      color: editCutoff === h ? P.nebula : P.muted,
+                      border:`1px solid ${editCutoff === h ? P.nebula : P.glassBorder}`,
+                    }}>{label}</button>
+                ))}
               </div>
             </div>
           </div>
 
+          <div className="settings-section">
+            <h4 className="settings-section-title">Adaptive Targets</h4>
+            <label className="flag-label" style={{ "--accent": P.nebula, justifyContent:"flex-start", marginBottom:8 }}>
+              <input type="checkbox" checked={!!editTargets.adaptive}
+                onChange={e => setEditTargets(t => ({ ...t, adaptive: e.target.checked }))} />
+              <span style={{ color:P.text }}>Suggest new targets as my rhythm changes</span>
+            </label>
+            <p style={{ color:P.muted, fontSize:11, lineHeight:1.5, paddingLeft:24 }}>
+              At the start of each week, your last {ADAPT_WEEKS} weeks are reviewed. You'll be asked before anything changes
+              {userData?.profile?.assessmentAnswers?.intention === "Consistency, not intensity"
+                ? " — and since you chose consistency over intensity, targets will only ever get gentler."
+                : "."}
+            </p>
+            {(userData?.targetHistory || []).filter(h => h.accepted).slice(-3).reverse().map((h, i) => (
+              <p key={i} style={{ color:P.soft, fontSize:11, paddingLeft:24, marginTop:6 }}>
+                {parseDateStr(h.date).toLocaleDateString("en-US", { month:"short", day:"numeric" })} · {h.from.weeklyStarTarget !== h.to.weeklyStarTarget
+                  ? `weekly ${h.from.weeklyStarTarget} → ${h.to.weeklyStarTarget}` : "goals edited"}{h.manual ? " by you" : ""}
+              </p>
+            ))}
+          </div>
+
           {/* Preview bar */}
           <div style={{
             background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14,
@@ -1937,9 +2901,9 @@ function SettingsModal({ user, userData, onClose, onSignOut, onAccountDeleted, o
             <p style={{ color:P.muted, fontSize:11, marginBottom:6 }}>Preview</p>
             <p style={{ color:P.soft, fontSize:13, lineHeight:1.6 }}>
               <span style={{ color:P.nebula, fontWeight:600 }}>{editTargets.targetSessionsPerWeek}</span> sessions/week →{" "}
-              <span style={{ color:P.tierBronze, fontWeight:600 }}>{Math.round(editTargets.weeklyStarTarget * 0.5)}</span> Bronze ·{" "}
-              <span style={{ color:P.tierSilver, fontWeight:600 }}>{editTargets.weeklyStarTarget}</span> Silver ·{" "}
-              <span style={{ color:P.tierGold, fontWeight:600 }}>{Math.round(editTargets.weeklyStarTarget * 1.5)}</span> Gold
+              {tierLadder(editTargets.weeklyStarTarget, editTiers).map((t, i) => (
+                <span key={t.tier}>{i > 0 && " · "}<span style={{ color:tierColor(t), fontWeight:600 }}>{t.threshold}</span> {t.label}</span>
+              ))}
             </p>
             <p style={{ color:P.muted, fontSize:11, marginTop:4 }}>
               Monthly: <span style={{ color:P.text }}>{editTargets.monthlyTarget}</span> · Stretch: <span style={{ color:P.gold }}>{editTargets.monthlyStretch}</span>
@@ -2128,6 +3092,299 @@ function LoginScreen({ onGoogleSignIn, onAppleSignIn, onEmailSignIn, onEmailSign
   );
 }
 
+// ─── JOURNAL VIEW ────────────────────────────────────────────────────────────
+// Every session, newest first, filtered by activity, mindful flag, date range
+// and note text, with totals for what's shown. Sessions inside the backdate
+// window can be selected to delete or move to another activity together.
+// Tapping a session opens its day in the DayDrawer.
+
+const JOURNAL_PAGE = 40; // sessions listed before "Show more"
+const JOURNAL_RANGES = [["all", "All time"], ["7", "7 days"], ["30", "30 days"], ["365", "Year"], ["custom", "Custom"]];
+
+function JournalView({ entries, activities, scoreOf, bestIds, canEdit, today, onOpenDay, onDelete, onRetype }) {
+  const [actFilter, setActFilter] = useState([]);
+  const [mindful, setMindful] = useState(null); // null = either
+  const [range, setRange] = useState("all");
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [text, setText] = useState("");
+  const [shown, setShown] = useState(JOURNAL_PAGE);
+  const [selected, setSelected] = useState(() => new Set());
+  const [retypeTo, setRetypeTo] = useState("");
+  const [confirmDel, setConfirmDel] = useState(false);
+
+  const span = range === "custom" ? { from: from || null, to: to || null }
+    : range === "all" ? {} : { from: addDays(today, 1 - Number(range)) };
+  const list = filterEntries(entries, { activities: actFilter, mindful, text, ...span });
+  const picked = list.filter(e => selected.has(e.id));
+  const totals = list.reduce((t, e) => ({
+    minutes: t.minutes + e.duration_min,
+    stars: t.stars + scoreOf(e).starsEarned,
+    mindful: t.mindful + (e.mindful ? 1 : 0),
+  }), { minutes: 0, stars: 0, mindful: 0 });
+  const days = new Set(list.map(e => e.date)).size;
+
+  const toggleAct = id => setActFilter(ids => ids.includes(id) ? ids.filter(x => x !== id) : [...ids, id]);
+  const toggleSelect = id => { setConfirmDel(false); setSelected(prev => {
+    const next = new Set(prev);
+    if (next.has(id)) next.delete(id); else next.add(id);
+    return next;
+  }); };
+  const clearSelection = () => { setSelected(new Set()); setConfirmDel(false); setRetypeTo(""); };
+  const fmtDate = ds => parseDateStr(ds).toLocaleDateString("en-US", { weekday:"short", month:"short", day:"numeric", year: ds.slice(0, 4) === today.slice(0, 4) ? undefined : "numeric" });
+  const chipStyle = (on, accent = P.nebula) => ({ "--accent": accent, color: on ? P.text : P.muted, borderColor: on ? accent : undefined });
+
+  return (<>
+    <div style={{ textAlign:"center", marginTop:8, marginBottom:16 }}>
+      <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:20, fontWeight:600 }}>Journal</h3>
+      <p style={{ color:P.muted, fontSize:11, marginTop:4 }}>Every moment you've placed in the sky</p>
+    </div>
+
+    <GlassCard className="section-card">
+      <input type="text" value={text} onChange={e => { setText(e.target.value); setShown(JOURNAL_PAGE); }}
+        placeholder="Search notes" className="onboard-input" style={{ fontSize:13, padding:"9px 14px", marginBottom:10 }} />
+      <div className="journal-filters">
+        {activities.map(a => (
+          <button key={a.id} className="quick-chip" style={chipStyle(actFilter.includes(a.id), a.color)} onClick={() => toggleAct(a.id)}>
+            <span style={{ color:a.color }}>✦</span> {a.label}
+          </button>
+        ))}
+      </div>
+      <div className="journal-filters">
+        {[[null, "Any"], [true, "Mindful"], [false, "Not mindful"]].map(([v, label]) => (
+          <button key={label} className="quick-chip" style={chipStyle(mindful === v, P.gold)} onClick={() => setMindful(v)}>{label}</button>
+        ))}
+      </div>
+      <div className="journal-filters">
+        {JOURNAL_RANGES.map(([v, label]) => (
+          <button key={v} className="quick-chip" style={chipStyle(range === v)} onClick={() => setRange(v)}>{label}</button>
+        ))}
+      </div>
+      {range === "custom" && (
+        <div style={{ display:"flex", alignItems:"center", gap:8, marginTop:4 }}>
+          <input type="date" value={from} max={to || today} onChange={e => setFrom(e.target.value)} className="onboard-input journal-date" />
+          <span style={{ color:P.muted, fontSize:12 }}>to</span>
+          <input type="date" value={to} min={from} max={today} onChange={e => setTo(e.target.value)} className="onboard-input journal-date" />
+        </div>
+      )}
+    </GlassCard>
+
+    <p style={{ textAlign:"center", color:P.soft, fontSize:12, margin:"4px 0 14px" }}>
+      <span style={{ color:P.text, fontWeight:600 }}>{list.length}</span> session{list.length !== 1 ? "s" : ""}
+      {" · "}<span style={{ color:P.text }}>{Math.round(totals.minutes)}</span> min
+      {" · "}<span style={{ color:P.gold, fontWeight:600 }}>{totals.stars}</span> starlight
+      {" · "}{totals.mindful} mindful · {days} day{days !== 1 ? "s" : ""}
+    </p>
+
+    {picked.length > 0 && (
+      <GlassCard className="section-card journal-bulk">
+        <span style={{ color:P.text, fontSize:12, fontWeight:600 }}>{picked.length} selected</span>
+        <select value={retypeTo} onChange={e => setRetypeTo(e.target.value)} className="onboard-input"
+          style={{ width:"auto", fontSize:12, padding:"5px 8px" }}>
+          <option value="">Move to…</option>
+          {activities.map(a => <option key={a.id} value={a.id}>{a.label}</option>)}
+        </select>
+        <button className="btn-ghost" disabled={!retypeTo} style={{ fontSize:12, padding:"4px 10px", color:P.nebula, opacity: retypeTo ? 1 : 0.4 }}
+          onClick={() => { onRetype(picked.map(e => e.id), retypeTo); clearSelection(); }}>Apply</button>
+        {confirmDel
+          ? <button className="btn-ghost" style={{ fontSize:12, padding:"4px 10px", color:"#FF9C8C" }}
+              onClick={() => { onDelete(picked.map(e => e.id)); clearSelection(); }}>Delete {picked.length}?</button>
+          : <button className="btn-ghost" style={{ fontSize:12, padding:"4px 10px" }} onClick={() => setConfirmDel(true)}>Delete</button>}
+        <button className="del-btn" title="Clear selection" onClick={clearSelection}>×</button>
+        {retypeTo && picked.some(e => segmentsOf(e).length > 1) && (
+          <p style={{ flexBasis:"100%", color:P.muted, fontSize:11 }}>Split sessions keep their parts.</p>
+        )}
+      </GlassCard>
+    )}
+
+    {list.length === 0 && (
+      <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:14, textAlign:"center", marginTop:24 }}>
+        {entries.length ? "No moments match these filters." : "Your journal fills as you place stars."}
+      </p>
+    )}
+
+    {list.slice(0, shown).map((entry, i) => {
+      const act = activities.find(a => a.id === entry.activity_type);
+      const accent = act?.color || P.nebula;
+      const newDay = i === 0 || list[i - 1].date !== entry.date;
+      const editable = canEdit(entry);
+      return (
+        <div key={entry.id}>
+          {newDay && <p className="journal-day">{fmtDate(entry.date)}</p>}
+          <div className="entry-card" style={{ "--accent": accent, background: act?.colorLight || P.glass, cursor:"pointer" }}
+            onClick={() => onOpenDay(entry.date)}>
+            <div className="entry-left">
+              {editable
+                ? <button className={`journal-check ${selected.has(entry.id) ? "on" : ""}`} title="Select"
+                    onClick={e => { e.stopPropagation(); toggleSelect(entry.id); }}>{selected.has(entry.id) ? "✓" : ""}</button>
+                : <span style={{ color: accent }}>✦</span>}
+              <span className="entry-name">{entryLabel(entry, activities)}</span>
+              {entry.mindful && <span className="bonus-star" style={{ color:P.gold }}>✦</span>}
+              {metricText(entry, activities) && <span style={{ color:P.soft, fontSize:11 }}>{metricText(entry, activities)}</span>}
+              {bestIds.has(entry.id) && <span style={{ color:P.gold, fontSize:10, fontWeight:700 }} title="Personal best">PB</span>}
+              {moodText(entry) && <span style={{ color:P.muted, fontSize:11 }}>{moodText(entry)}</span>}
+            </div>
+            <div className="entry-right">
+              <span style={{ color: accent, fontWeight:600 }}>+{scoreOf(entry).starsEarned}</span>
+            </div>
+            {entry.note && <p className="entry-note">{entry.note}</p>}
+          </div>
+        </div>
+      );
+    })}
+    {list.length > shown && (
+      <div style={{ textAlign:"center", marginTop:12 }}>
+        <button className="btn-ghost" style={{ fontSize:12 }} onClick={() => setShown(shown + JOURNAL_PAGE)}>
+          Show more · {list.length - shown} left
+        </button>
+      </div>
+    )}
+  </>);
+}
+
+// ─── SCORE STORE HOOK ────────────────────────────────────────────────────────
+// Keeps one score store alive across renders. New entry arrays are synced in
+// (only changed days re-score); a new store is built only when the rules change.
+// `rules` is the store's opts: { scoring, restDays, targetHistory, weekStart, timezone, dayCutoffHour }.
+function useScoreStore(entries, activities, rules) {
+  const ref = useRef(null);
+  const rulesKey = JSON.stringify({ activities, rules });
+  if (!ref.current || ref.current.rulesKey !== rulesKey) {
+    ref.current = { rulesKey, store: createScoreStore(entries, activities, rules) };
+  } else {
+    ref.current.store.sync(entries);
+  }
+  return ref.current.store;
+}
+
+// The rules a user's score stores are built with. Anything that scores their
+// history (the app, the Scoring tab preview) starts from this so they agree.
+function scoreRulesOf(userData) {
+  const settings = userData?.settings || {};
+  return {
+    scoring: scoringOf(userData?.scoring),
+    restDays: userData?.restDays || [],
+    targetHistory: userData?.targetHistory || [],
+    weekStart: settings.weekStart ?? DEFAULT_WEEK_START,
+    ...clockOf(settings),
+  };
+}
+
+// ─── SESSION TIMER HOOK ──────────────────────────────────────────────────────
+// A stopwatch for a moment in progress, kept in localStorage so it survives
+// reloads and is shared between tabs. Elapsed time is worked out from
+// timestamps, never counted, so a backgrounded tab loses nothing. Each account
+// has its own, so signing in as someone else never hands them your moment.
+//   { activityId, startedAt (ISO), runningSince (ms, null while paused), elapsedMs (before runningSince) }
+
+const timerKey = uid => uid ? `sf_timer:${uid}` : null;
+
+function readTimer(key) {
+  if (!key) return null;
+  try { return JSON.parse(localStorage.getItem(key)); } catch { return null; }
+}
+
+function useSessionTimer(uid) {
+  const key = timerKey(uid);
+  const [state, setState] = useState(() => ({ key, timer: readTimer(key) }));
+  const [, setTick] = useState(0);
+  // A different account (or none) loads its own timer
+  if (state.key !== key) setState({ key, timer: readTimer(key) });
+  const timer = state.key === key ? state.timer : null;
+  const setTimer = next => setState(s => ({ ...s, timer: typeof next === "function" ? next(s.timer) : next }));
+
+  useEffect(() => {
+    if (!state.key) return;
+    if (state.timer) localStorage.setItem(state.key, JSON.stringify(state.timer));
+    else localStorage.removeItem(state.key);
+  }, [state]);
+
+  // The timer from before it was kept per account can't be told apart, so it goes
+  useEffect(() => { localStorage.removeItem("sf_timer"); }, []);
+
+  // Re-render once a second while running
+  useEffect(() => {
+    if (!timer?.runningSince) return;
+    const id = setInterval(() => setTick(n => n + 1), 1000);
+    return () => clearInterval(id);
+  }, [timer?.runningSince]);
+
+  // Another tab started, paused or finished the moment
+  useEffect(() => {
+    const onStorage = e => { if (key && e.key === key) setTimer(readTimer(key)); };
+    window.addEventListener("storage", onStorage);
+    return () => window.removeEventListener("storage", onStorage);
+  }, [key]);
+
+  const elapsedMs = timer ? timer.elapsedMs + (timer.runningSince ? Date.now() - timer.runningSince : 0) : 0;
+  return {
+    timer, elapsedMs,
+    start: activityId => setTimer({ activityId, startedAt: new Date().toISOString(), runningSince: Date.now(), elapsedMs: 0 }),
+    pause: () => setTimer(t => t?.runningSince ? { ...t, runningSince: null, elapsedMs: t.elapsedMs + Date.now() - t.runningSince } : t),
+    resume: () => setTimer(t => t && !t.runningSince ? { ...t, runningSince: Date.now() } : t),
+    clear: () => setTimer(null),
+    // Puts back a discarded moment, unless another has been started since
+    restore: stashed => setTimer(t => t || stashed),
+  };
+}
+
+const fmtElapsed = ms => {
+  const sec = Math.floor(ms / 1000), h = Math.floor(sec / 3600), m = Math.floor(sec / 60) % 60, ss = String(sec % 60).padStart(2, "0");
+  return h ? `${h}:${String(m).padStart(2, "0")}:${ss}` : `${m}:${ss}`;
+};
+
+// ─── UNDO HISTORY HOOK ───────────────────────────────────────────────────────
+// Session-long undo/redo for the user's own changes. record(label, partial)
+// applies a change through `apply` (updateData) and keeps the values it
+// replaced; undo and redo swap them back through the same call, so the
+// debounced cloud save always ends on what's on screen. A step whose fields
+// were changed since by something outside the history can't be replayed, so
+// the history is dropped rather than overwrite that change. The history and
+// the data it compares against live in refs, so two steps taken before the
+// next render (a fast double ⌘Z) each see what the other did.
+
+const HISTORY_LIMIT = 50;
+
+function useUndoHistory(data, apply) {
+  const history = useRef({ past: [], future: [] });
+  const current = useRef(data);
+  current.current = data;
+  const [, rerender] = useState(0);
+  const setHistory = h => { history.current = h; rerender(n => n + 1); };
+  const isCurrent = values => Object.keys(values).every(k => current.current?.[k] === values[k]);
+  const applyNow = partial => { current.current = { ...current.current, ...partial }; apply(partial); };
+
+  const record = (label, partial) => {
+    const before = Object.fromEntries(Object.keys(partial).map(k => [k, current.current?.[k]]));
+    setHistory({ past: [...history.current.past, { label, before, after: partial }].slice(-HISTORY_LIMIT), future: [] });
+    applyNow(partial);
+  };
+  // Returns the step taken, or null when there's nothing (valid) to take
+  const undo = () => {
+    const { past, future } = history.current, step = past.at(-1);
+    if (!step) return null;
+    if (!isCurrent(step.after)) { setHistory({ past: [], future: [] }); return null; }
+    setHistory({ past: past.slice(0, -1), future: [...future, step] });
+    applyNow(step.before);
+    return step;
+  };
+  const redo = () => {
+    const { past, future } = history.current, step = future.at(-1);
+    if (!step) return null;
+    if (!isCurrent(step.before)) { setHistory({ past: [], future: [] }); return null; }
+    setHistory({ past: [...past, step], future: future.slice(0, -1) });
+    applyNow(step.after);
+    return step;
+  };
+
+  return {
+    record, undo, redo,
+    clear: () => setHistory({ past: [], future: [] }),
+    canUndo: history.current.past.length > 0,
+    canRedo: history.current.future.length > 0,
+  };
+}
+
 // ─── MAIN APP ────────────────────────────────────────────────────────────────
 export default function StarFlow() {
   const [user, setUser] = useState(null);
@@ -2146,45 +3403,114 @@ export default function StarFlow() {
   const activities = userData?.activities || [];
   const targets = userData?.targets || DEFAULT_TARGETS;
   const rewards = userData?.rewards || DEFAULT_REWARDS;
-  const promises = userData?.promises || {}; // { "2026-02-W2": "A quiet coffee moment" }
+  const promises = userData?.promises || {}; // { "wk:2026-02-09": "A quiet coffee moment" }
+  const settings = userData?.settings || {};
+  const weekStart = settings.weekStart ?? DEFAULT_WEEK_START;
+  const clock = clockOf(settings);
+  const restDays = userData?.restDays || []; // ["2026-03-14", ...] — planned days off
+  const scoring = scoringOf(userData?.scoring);
+  const scores = useScoreStore(entries, activities, scoreRulesOf(userData));
+  const sessionTimer = useSessionTimer(user?.uid);
+  // The store is rebuilt whenever its rules change, so `scores` covers those
+  const streakRec = useMemo(
+    () => scores.streakRecord(new Date(), targets),
+    [scores, entries, targets, todayStr(new Date(), clock)]
+  );
+  const earnedAchievements = useMemo(
+    () => scores.achievements(new Date(), targets),
+    [scores, entries, targets, todayStr(new Date(), clock)]
+  );
 
   const [showLog, setShowLog] = useState(false);
-  const [rewardModal, setRewardModal] = useState(null); // { wk, rk, wkPts }
-  const [promiseModal, setPromiseModal] = useState(null); // { wk, rk } — set intention
+  const [showRest, setShowRest] = useState(false);
+  const [showGuided, setShowGuided] = useState(false);
+  const [breakdown, setBreakdown] = useState(null); // { ds, entries } — starlight explainer
+  const [dayDrawer, setDayDrawer] = useState(null); // date string of the Constellation day open in the drawer
+  const [logOnDay, setLogOnDay] = useState(null); // date string LogModal opens on, from the drawer
+  const [editingEntry, setEditingEntry] = useState(null); // entry being edited in LogModal
+  const [toast, setToast] = useState(null); // { text, redo, undo } — the last undoable step, offered back
+  const [timedLog, setTimedLog] = useState(null); // { activity_type, duration_min, startedAt } from a stopped timer
+  const [showAchievements, setShowAchievements] = useState(false);
+  const [targetProposal, setTargetProposal] = useState(null); // { week, direction, reason, targets }
+  const [rewardModal, setRewardModal] = useState(null); // { wk, rk, period, exceeded }
+  const [promiseModal, setPromiseModal] = useState(null); // { wk, rk, period } — set intention
   const [celebrate, setCelebrate] = useState(null);
   const [viewYear, setViewYear] = useState(new Date().getFullYear());
   const [viewMonth, setViewMonth] = useState(new Date().getMonth() + 1);
+  const [calMode, setCalMode] = useState("month"); // month | year
+  const [recapYear, setRecapYear] = useState(null);
   const [encouragement] = useState(() => ENCOURAGEMENTS[Math.floor(Math.random() * ENCOURAGEMENTS.length)]);
   const [showGuide, setShowGuide] = useState(false);
   const [showSettings, setShowSettings] = useState(false);
-  const [activeView, setActiveView] = useState("now"); // now | constellation | checkin
+  const [activeView, setActiveView] = useState("now"); // now | constellation | checkin | journal
   const [devTaps, setDevTaps] = useState(0);
   const [showDev, setShowDev] = useState(false);
   const [showIntentionNudge, setShowIntentionNudge] = useState(false);
   const devTimer = useRef(null);
   const saveTimer = useRef(null);
 
-  // ── Intention nudge — Monday mornings or first-ever session ──
+  // ── Intention nudge — first day of the week or first-ever session ──
   useEffect(() => {
     if (!userData || !dataLoaded) return;
-    const now = new Date();
-    const cw = weekOfMonth(now);
-    const wk = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,"0")}-W${cw}`;
+    const ws = userData.settings?.weekStart ?? DEFAULT_WEEK_START;
+    const today = todayStr(new Date(), clockOf(userData.settings));
+    const wk = weekKeyOf(today, ws);
     const hasIntention = !!(userData.promises || {})[wk];
     if (hasIntention) return;
 
-    const isMonday = now.getDay() === 1;
+    const isWeekStart = parseDateStr(today).getDay() === ws;
     const isNewAccount = (userData.entries || []).length === 0;
     const nudgeKey = "sf_nudge_" + wk;
     const alreadyDismissed = localStorage.getItem(nudgeKey);
 
-    if ((isMonday || isNewAccount) && !alreadyDismissed) {
+    if ((isWeekStart || isNewAccount) && !alreadyDismissed) {
       // Small delay so the app feels loaded before nudge appears
       const timer = setTimeout(() => setShowIntentionNudge(true), 800);
       return () => clearTimeout(timer);
     }
   }, [userData, dataLoaded]);
 
+  // ── Streak record — persist longest run, past runs and banked freezes ──
+  useEffect(() => {
+    if (!userData || !dataLoaded) return;
+    const saved = userData.streaks || {};
+    const next = {
+      longest: Math.max(streakRec.longest, saved.longest || 0),
+      history: streakRec.history,
+      freezes: streakRec.freezes,
+    };
+    if (JSON.stringify(saved) !== JSON.stringify(next)) updateData({ streaks: next });
+  }, [streakRec, dataLoaded]);
+
+  // ── Achievements — store newly earned badges with their dates ──
+  // The first run back-fills from history quietly; after that, new ones are celebrated.
+  useEffect(() => {
+    if (!userData || !dataLoaded) return;
+    const saved = userData.achievements;
+    const fresh = Object.keys(earnedAchievements).filter(id => !saved?.[id]);
+    if (!fresh.length && saved) return;
+    updateData({ achievements: { ...earnedAchievements, ...saved } });
+    if (saved && fresh.length) {
+      setCelebrate(c => ({ ...c, achievements: [...(c?.achievements || []), ...fresh] }));
+    }
+  }, [earnedAchievements, dataLoaded]);
+
+  // ── Adaptive targets — once per week, propose a change if recent weeks call for one ──
+  useEffect(() => {
+    if (!userData || !dataLoaded || !userData.targets?.adaptive) return;
+    const week = weekKeyOf(todayStr(new Date(), clock), weekStart);
+    if ((userData.targetHistory || []).some(h => h.week === week)) return;
+    const proposal = scores.suggestTargets(userData.targets, userData.profile?.assessmentAnswers?.intention, new Date());
+    setTargetProposal(proposal ? { week, ...proposal } : null);
+  }, [userData, dataLoaded, scores]);
+
+  // The undo toast fades after a few seconds
+  useEffect(() => {
+    if (!toast) return;
+    const t = setTimeout(() => setToast(null), UNDO_TOAST_MS);
+    return () => clearTimeout(t);
+  }, [toast]);
+
   // Auth listener
   useEffect(() => {
     const unsub = onAuthStateChanged(auth, (u) => {
@@ -2225,11 +3551,42 @@ export default function StarFlow() {
   const updateData = useCallback((partial) => {
     setUserData(prev => {
       const next = { ...prev, ...partial };
+      // A field undone back to "never set" is removed, not saved as undefined
+      Object.keys(partial).forEach(k => partial[k] === undefined && delete next[k]);
       saveToCloud(next);
       return next;
     });
   }, [saveToCloud]);
 
+  const undoHistory = useUndoHistory(userData, updateData);
+  // The toast shows what the last step did and offers to take it back (or redo it)
+  const undoStep = () => {
+    const step = undoHistory.undo();
+    if (step) setToast({ text: `Undone · ${step.label}`, redo: true });
+  };
+  const redoStep = () => {
+    const step = undoHistory.redo();
+    if (step) setToast({ text: step.label });
+  };
+  // ⌘Z / Ctrl+Z to undo, with Shift (or Ctrl+Y) to redo — text fields keep their
+  // own, and nothing is undone behind an open modal or drawer
+  const historyKeys = useRef();
+  historyKeys.current = { undoStep, redoStep };
+  useEffect(() => {
+    const fields = "input, textarea, select, [contenteditable]";
+    const onKey = e => {
+      if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+      if (e.target.closest?.(fields) || document.activeElement?.closest?.(fields) || document.querySelector(".modal-overlay")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z" && !e.shiftKey) historyKeys.current.undoStep();
+      else if ((key === "z" && e.shiftKey) || key === "y") historyKeys.current.redoStep();
+      else return;
+      e.preventDefault();
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
   // ── Auth helpers ──
 
   // ── Dev Mode: triple-tap title to reveal seed/clear buttons ──
@@ -2286,31 +3643,28 @@ export default function StarFlow() {
       testEntries.push({ date: todayStr2, activity_type: act.id, duration_min: act.minDuration + 10, mindful: true });
     }
 
-    // Seed some weekly promises
+    // Seed some weekly promises — every week of this month up to the current one
     const testPromises = {};
-    const curMonth = today.getMonth() + 1;
-    const curYear = today.getFullYear();
-    const curWeek = weekOfMonth(today);
-    const totalWks = Math.ceil(new Date(curYear, curMonth, 0).getDate() / 7);
+    const weeks = monthWeeks(today.getFullYear(), today.getMonth() + 1, weekStart).filter(ws => ws <= todayStr2);
     const samplePromises = [
       "A quiet coffee with no phone",
       "Twenty minutes with my book",
       "A long bath without rushing",
       "Cooking something just for me",
     ];
-    for (let w = 1; w <= Math.min(curWeek, totalWks); w++) {
-      const wk = `${curYear}-${String(curMonth).padStart(2,"0")}-W${w}`;
-      testPromises[wk] = samplePromises[(w - 1) % samplePromises.length];
-    }
+    weeks.forEach((ws, i) => {
+      testPromises[weekKeyOf(ws, weekStart)] = samplePromises[i % samplePromises.length];
+    });
 
     // Claim week 1 to show "Honored" state
-    const wk1 = `${curYear}-${String(curMonth).padStart(2,"0")}-W1`;
-    updateData({ entries: testEntries, claimed: [wk1], promises: testPromises });
+    updateData({ entries: migrateEntries(testEntries), claimed: [weekKeyOf(weeks[0], weekStart)], promises: testPromises });
+    undoHistory.clear();
     setShowDev(false);
   };
 
   const clearTestData = () => {
     updateData({ entries: [], claimed: [], promises: {} });
+    undoHistory.clear();
     setShowDev(false);
   };
 
@@ -2375,24 +3729,98 @@ export default function StarFlow() {
   const handleSignOut = async () => { await signOut(auth); };
 
   const addEntry = (entry) => {
-    updateData({ entries: [...entries, entry] });
+    // Record where and when it was logged; `date` is already the user's day
+    const createdAt = new Date().toISOString(), id = newEntryId();
+    undoHistory.record(`${entryLabel(entry, activities)} placed`, { entries: [...entries, {
+      ...entry, id, tz: deviceTimezone(), createdAt, startedAt: entry.startedAt || startedAtFor(entry, createdAt, clock),
+    }] });
+    return id;
   };
-  const delEntry = (idx) => {
-    const te = entries.map((e, i) => ({ ...e, _i: i })).filter(e => e.date === todayStr());
-    if (idx < te.length) {
-      updateData({ entries: entries.filter((_, i) => i !== te[idx]._i) });
-    }
+  // Keeps the entry's id, tz and timestamps (a session moved to another day
+  // gets a new startedAt there); the score store re-scores both days
+  const updateEntry = (id, fields) => {
+    // Optional fields cleared in the modal are absent from `fields`, so drop the old ones
+    const strip = ({ note, moodBefore, moodAfter, segments, metrics, ...kept }) => kept;
+    undoHistory.record(`${entryLabel(fields, activities)} edited`, { entries: entries.map(e => e.id !== id ? e : {
+      ...strip(e), ...fields,
+      ...(fields.date !== e.date ? { startedAt: startedAtFor(fields, e.createdAt, clock) } : {}),
+    }) });
+  };
+  const canEditEntry = entry => entry.date >= addDays(todayStr(new Date(), clock), -BACKDATE_DAYS);
+  // One tap from a favorite or recent chip; the toast offers a few seconds to undo
+  const quickLog = (tpl) => {
+    addEntry({ date: todayStr(new Date(), clock), ...fromSegments(segmentsOf(tpl)), mindful: tpl.mindful });
+    setToast({ text: `${entryLabel(tpl, activities)} placed` });
+  };
+  // Stopping pauses the moment and opens LogModal; it's only cleared once logged
+  const stopTimer = () => {
+    const { activityId, startedAt } = sessionTimer.timer;
+    sessionTimer.pause();
+    setTimedLog({ activity_type: activityId, duration_min: Math.max(1, Math.round(sessionTimer.elapsedMs / 60000)), startedAt });
+  };
+  // The timer lives outside the undo history, so a discard keeps its own undo
+  const discardTimer = () => {
+    const stashed = sessionTimer.timer;
+    sessionTimer.clear();
+    setToast({ text: "Moment discarded", undo: () => { sessionTimer.restore(stashed); setToast(null); } });
+  };
+  // Removals and bulk changes are one tap, so each gets the undo toast
+  const delEntry = (id) => {
+    const entry = entries.find(e => e.id === id);
+    if (!entry) return;
+    const label = `${entryLabel(entry, activities)} deleted`;
+    undoHistory.record(label, { entries: entries.filter(e => e.id !== id) });
+    setToast({ text: label });
+  };
+  const delEntries = (ids) => {
+    const label = `${ids.length} session${ids.length !== 1 ? "s" : ""} deleted`;
+    undoHistory.record(label, { entries: entries.filter(e => !ids.includes(e.id)) });
+    setToast({ text: label });
+  };
+  // Bulk move from the Journal. Split sessions keep their parts; metrics the
+  // new activity doesn't track are dropped
+  const retypeEntries = (ids, activityId) => {
+    const act = activities.find(a => a.id === activityId), fields = activityMetrics(act);
+    // Split sessions keep their parts; only the rest that aren't already this activity change
+    const picked = entries.filter(e => ids.includes(e.id));
+    const skipped = picked.filter(e => segmentsOf(e).length > 1).length;
+    const moving = new Set(picked.filter(e => segmentsOf(e).length <= 1 && e.activity_type !== activityId).map(e => e.id));
+    const plural = n => `${n} session${n !== 1 ? "s" : ""}`;
+    const note = skipped ? ` · ${skipped} split left as ${skipped !== 1 ? "they are" : "it is"}` : "";
+    if (!moving.size) { setToast({ text: `Nothing to move${note}` }); return; }
+    const label = `${plural(moving.size)} moved to ${act.label}`;
+    undoHistory.record(label, { entries: entries.map(e => {
+      if (!moving.has(e.id)) return e;
+      const { metrics, ...rest } = e, kept = cleanMetrics(metrics, fields);
+      return { ...rest, activity_type: activityId, ...(Object.keys(kept).length ? { metrics: kept } : {}) };
+    }) });
+    setToast({ text: label + note });
+  };
+  // Every proposal is recorded, accepted or not, so each week is only asked once
+  const answerTargetProposal = (accepted) => {
+    const { week, direction, reason } = targetProposal;
+    const pick = t => ({ weeklyStarTarget: t.weeklyStarTarget, monthlyTarget: t.monthlyTarget, monthlyStretch: t.monthlyStretch });
+    const record = { week, date: todayStr(new Date(), clock), direction, reason, from: pick(targets), to: pick(targetProposal.targets), accepted };
+    updateData({
+      targetHistory: [...(userData.targetHistory || []), record],
+      ...(accepted ? { targets: targetProposal.targets } : {}),
+    });
+    setTargetProposal(null);
+  };
+  const saveRestDays = (days) => {
+    undoHistory.record("Rest days updated", { restDays: days });
   };
   const claimReward = (rk) => {
     const promiseText = promises[rk] || "";
-    updateData({ claimed: [...claimed, rk] });
+    undoHistory.record("Intention honored", { claimed: [...claimed, rk] });
     setCelebrate({ promise: promiseText });
   };
   const unclaim = (rk) => {
-    updateData({ claimed: claimed.filter(c => c !== rk) });
+    undoHistory.record("Intention reopened", { claimed: claimed.filter(c => c !== rk) });
+    setToast({ text: "Intention reopened" });
   };
   const setPromise = (rk, text) => {
-    updateData({ promises: { ...promises, [rk]: text } });
+    undoHistory.record("Intention set", { promises: { ...promises, [rk]: text } });
   };
 
   // Onboarding complete callback
@@ -2433,29 +3861,39 @@ export default function StarFlow() {
   );
 
   // ── Computed values (all dynamic from user config) ──
-  const now = new Date(), today = todayStr(), cw = weekOfMonth(now);
-  const stats = monthStats(entries, viewYear, viewMonth, activities, targets);
-  const wp = weekStars(entries, now.getFullYear(), now.getMonth() + 1, cw, activities);
-  const streak = calcStreak(entries, activities);
-  const todayEntries = entriesFor(entries, today);
-  const todayStarsVal = dailyStars(entries, today, activities);
-  const goalHit = wp >= targets.weeklyStarTarget;
-  const numWeeks = Math.ceil(new Date(viewYear, viewMonth, 0).getDate() / 7);
+  const now = parseDateStr(todayStr(new Date(), clock)), today = localDateStr(now), cw = weekStartOf(today, weekStart);
+  const stats = scores.monthStats(viewYear, viewMonth, targets);
+  const wp = scores.weekStars(cw);
+  const streak = streakRec.current;
+  const longestStreak = Math.max(streakRec.longest, userData.streaks?.longest || 0);
+  const todayEntries = scores.entriesOn(today);
+  const todayStarsVal = scores.dayStars(today);
+  // Targets apply from the week (or month) they were changed in — see engine targetsAt
+  const weekTargets = scores.targetsOn(cw, targets);
+  const goalHit = wp >= weekTargets.weeklyStarTarget;
+  const viewWeeks = monthWeeks(viewYear, viewMonth, weekStart);
   const isCurrentMonth = viewYear === now.getFullYear() && viewMonth === now.getMonth() + 1;
-  const curWeekKey = `${now.getFullYear()}-${String(now.getMonth()+1).padStart(2,"0")}-W${cw}`;
+  const curWeekKey = weekKeyOf(today, weekStart);
   const curPromise = promises[curWeekKey] || "";
+  const viewMonthKey = monthKey(viewYear, viewMonth);
+  const curMonthPromise = promises[monthKey(now.getFullYear(), now.getMonth() + 1)] || "";
+  const fmtDay = ds => parseDateStr(ds).toLocaleDateString("en-US", { month:"short", day:"numeric" });
+  // Favorites first, then recent sessions that aren't already pinned
+  const quickChips = [
+    ...(userData.templates || []).filter(t => activities.some(a => a.id === t.activity_type)).map(tpl => ({ tpl, pinned: true })),
+    ...recentSessions(entries.filter(e => activitiesOf(e).every(id => activities.some(a => a.id === id))), RECENT_CHIPS + MAX_TEMPLATES)
+      .filter(r => !(userData.templates || []).some(t => sessionShape(t) === sessionShape(r)))
+      .slice(0, RECENT_CHIPS).map(tpl => ({ tpl, pinned: false })),
+  ];
+  const moodAll = moodShifts(entries), moodRecent = moodShifts(entries, { from: addDays(today, -29) });
+  const bests = metricStats(entries, activities), bestIds = bestEntryIds(bests);
 
   // Week minutes + active days for movement signals
-  const [weekStart] = weekRange(now.getFullYear(), now.getMonth() + 1, cw);
   let weekMinutes = 0, weekActiveDays = 0;
-  const wCur = new Date(weekStart);
-  const [, weekEnd] = weekRange(now.getFullYear(), now.getMonth() + 1, cw);
-  while (wCur <= weekEnd && wCur <= now) {
-    const ds = localDateStr(wCur);
-    const dayEntries = entriesFor(entries, ds);
+  weekDays(cw).filter(ds => ds <= today).forEach(ds => {
+    const dayEntries = scores.entriesOn(ds);
     if (dayEntries.length > 0) { weekActiveDays++; weekMinutes += dayEntries.reduce((s, e) => s + (e.duration_min || 0), 0); }
-    wCur.setDate(wCur.getDate() + 1);
-  }
+  });
 
   let milestone = "";
   if (stats.stretch) milestone = MILESTONE_COPY.monthly_stretch;
@@ -2465,6 +3903,12 @@ export default function StarFlow() {
   else if (streak >= 7) milestone = MILESTONE_COPY.streak_7;
   else if (streak >= 3) milestone = MILESTONE_COPY.streak_3;
 
+  // Year view (Constellation) — built from the same month/week pieces
+  const yearView = calMode === "year" && activeView === "constellation" ? scores.yearStats(viewYear, targets, new Date()) : null;
+  const recapStats = recapYear ? scores.yearStats(recapYear, targets, new Date()) : null;
+  const honoredIn = y => claimed.filter(k => (/^(wk|mo):/.test(k) ? k.slice(3, 7) : k.slice(0, 4)) === String(y)).length;
+  const recapReady = y => y < now.getFullYear() || (y === now.getFullYear() && now.getMonth() === 11);
+
   const prevMonth = () => { if (viewMonth === 1) { setViewMonth(12); setViewYear(viewYear - 1); } else setViewMonth(viewMonth - 1); };
   const nextMonth = () => { if (viewMonth === 12) { setViewMonth(1); setViewYear(viewYear + 1); } else setViewMonth(viewMonth + 1); };
 
@@ -2480,6 +3924,8 @@ export default function StarFlow() {
           <p className="app-date">{now.toLocaleDateString("en-US", { weekday:"long", month:"long", day:"numeric" })}</p>
         </div>
         <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+          {undoHistory.canUndo && <button className="help-btn" onClick={undoStep} title="Undo (⌘Z / Ctrl+Z)">↶</button>}
+          {undoHistory.canRedo && <button className="help-btn" onClick={redoStep} title="Redo (⇧⌘Z / Ctrl+Y)">↷</button>}
           <button className="help-btn" onClick={() => setShowGuide(!showGuide)}>?</button>
           <button className="help-btn settings-btn" onClick={() => setShowSettings(true)} title="Settings">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2.5" strokeLinecap="round" strokeLinejoin="round">
@@ -2522,10 +3968,46 @@ export default function StarFlow() {
       {activeView === "now" && (<>
         <div style={{ textAlign:"center", paddingTop:16, paddingBottom:8 }}>
           <p style={{ color:P.gold, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:20, fontWeight:500, marginBottom:6 }}>
-            {todayEntries.length === 0 ? "The sky is waiting." : `${todayStarsVal} starlight placed today.`}
+            {todayEntries.length > 0 ? `${todayStarsVal} starlight placed today.`
+              : scores.isRest(today) ? "☾ A rest day. The sky keeps your place." : "The sky is waiting."}
           </p>
           <p className="encouragement" style={{ marginBottom:24 }}>{encouragement}</p>
+          {sessionTimer.timer && (() => {
+            const act = activities.find(a => a.id === sessionTimer.timer.activityId);
+            const running = !!sessionTimer.timer.runningSince;
+            return (
+              <div className="timer-pill" style={{ "--accent": act?.color || P.nebula }}>
+                <span className={running ? "timer-dot running" : "timer-dot"}>◷</span>
+                <span style={{ color:P.text, fontSize:13 }}>{act?.label || "Moment"}</span>
+                <span style={{ color: act?.color || P.nebula, fontSize:15, fontWeight:600, fontVariantNumeric:"tabular-nums" }}>
+                  {fmtElapsed(sessionTimer.elapsedMs)}
+                </span>
+                <button className="btn-ghost" style={{ fontSize:12, padding:"2px 8px" }}
+                  onClick={running ? sessionTimer.pause : sessionTimer.resume}>{running ? "Pause" : "Resume"}</button>
+                <button className="btn-ghost" style={{ fontSize:12, padding:"2px 8px", color:P.nebula }} onClick={stopTimer}>Stop</button>
+                <button className="del-btn" title="Discard this moment" onClick={discardTimer}>×</button>
+              </div>
+            );
+          })()}
           <button className="btn-primary btn-large" onClick={() => setShowLog(true)}>✦ Add a Moment</button>
+          {quickChips.length > 0 && (
+            <div style={{ display:"flex", flexWrap:"wrap", gap:6, justifyContent:"center", marginTop:14 }}>
+              {quickChips.map(({ tpl, pinned }) => {
+                const act = activities.find(a => a.id === tpl.activity_type);
+                return (
+                  <button key={sessionShape(tpl)} className="quick-chip" style={{ "--accent": act?.color || P.nebula }}
+                    onClick={() => quickLog(tpl)} title={pinned ? "Favorite" : "Recent"}>
+                    <span style={{ color:"var(--accent)" }}>{pinned ? "★" : "✦"}</span> {entryLabel(tpl, activities)}
+                    {tpl.mindful && <span style={{ color:P.gold }}> ✦</span>}
+                  </button>
+                );
+              })}
+            </div>
+          )}
+          <div>
+            <button className="btn-ghost" style={{ marginTop:12, fontSize:12 }} onClick={() => setShowGuided(true)}>◎ Guided session</button>
+            <button className="btn-ghost" style={{ marginTop:12, fontSize:12 }} onClick={() => setShowRest(true)}>☾ Plan a rest day</button>
+          </div>
         </div>
 
         {/* Week movement summary — unmistakable practice signal */}
@@ -2550,20 +4032,20 @@ export default function StarFlow() {
         {/* Tier progress indicator */}
         <div style={{ textAlign:"center", marginTop:12, marginBottom:4 }}>
           {(() => {
-            const t = getTier(wp, targets.weeklyStarTarget);
-            const n = nextTierInfo(wp, targets.weeklyStarTarget);
+            const t = getTier(wp, weekTargets.weeklyStarTarget, weekTargets.tiers);
+            const n = nextTierInfo(wp, weekTargets.weeklyStarTarget, weekTargets.tiers);
             if (t.tier !== "none" && !n) return (
-              <span style={{ color: P.tierGold, fontSize:13, fontWeight:500 }}>✦ Gold — {wp} starlight this week</span>
+              <span style={{ color: tierColor(t), fontSize:13, fontWeight:500 }}>✦ {t.label} — {wp} starlight this week</span>
             );
             if (t.tier !== "none") return (
               <span style={{ fontSize:13 }}>
-                <span style={{ color: t.color, fontWeight:600 }}>✦ {t.label}</span>
+                <span style={{ color: tierColor(t), fontWeight:600 }}>✦ {t.label}</span>
                 <span style={{ color: P.muted }}> · {n.remaining} to </span>
-                <span style={{ color: n.color }}>{n.label}</span>
+                <span style={{ color: tierColor(n) }}>{n.label}</span>
               </span>
             );
             if (n) return (
-              <span style={{ color: P.muted, fontSize:13 }}>{n.remaining} starlight to <span style={{ color: n.color }}>{n.label}</span></span>
+              <span style={{ color: P.muted, fontSize:13 }}>{n.remaining} starlight to <span style={{ color: tierColor(n) }}>{n.label}</span></span>
             );
             return null;
           })()}
@@ -2573,20 +4055,26 @@ export default function StarFlow() {
           <GlassCard className="section-card" style={{ marginTop:16 }}>
             {todayEntries.map((entry, i) => {
               const act = activities.find(a => a.id === entry.activity_type);
-              const result = scoreSession(entry, activities, entries);
+              const result = scores.scoreOf(entry);
               const accent = act?.color || P.nebula;
               const bgLight = act?.colorLight || P.glass;
               return (
-                <div key={i} className="entry-card" style={{ "--accent": accent, background: bgLight }}>
+                <div key={entry.id} className="entry-card" style={{ "--accent": accent, background: bgLight, cursor:"pointer" }}
+                  onClick={() => setBreakdown({ ds: today, entries: [entry] })}>
                   <div className="entry-left">
                     <span style={{ color: accent }}>✦</span>
-                    <span className="entry-name">{act?.label || entry.activity_type} · {entry.duration_min} min</span>
+                    <span className="entry-name">{entryLabel(entry, activities)}</span>
                     {entry.mindful && <span className="bonus-star" style={{ color:P.gold }}>✦</span>}
+                    {metricText(entry, activities) && <span style={{ color:P.soft, fontSize:11 }}>{metricText(entry, activities)}</span>}
+                    {bestIds.has(entry.id) && <span style={{ color:P.gold, fontSize:10, fontWeight:700 }} title="Personal best">PB</span>}
+                    {moodText(entry) && <span style={{ color:P.muted, fontSize:11 }}>{moodText(entry)}</span>}
                   </div>
                   <div className="entry-right">
                     <span style={{ color: accent, fontWeight:600 }}>+{result.starsEarned}</span>
-                    <button className="del-btn" onClick={() => delEntry(i)}>×</button>
+                    <button className="del-btn" title="Edit" onClick={e => { e.stopPropagation(); setEditingEntry(entry); }}>✎</button>
+                    <button className="del-btn" onClick={e => { e.stopPropagation(); delEntry(entry.id); }}>×</button>
                   </div>
+                  {entry.note && <p className="entry-note">{entry.note}</p>}
                 </div>
               );
             })}
@@ -2603,6 +4091,14 @@ export default function StarFlow() {
           </div>
         )}
 
+        {recapReady(now.getFullYear()) && entries.some(e => e.date.startsWith(String(now.getFullYear()))) && (
+          <div style={{ textAlign:"center", marginTop:20 }}>
+            <button className="btn-ghost" style={{ fontSize:13, color:P.gold }} onClick={() => setRecapYear(now.getFullYear())}>
+              ✦ Your {now.getFullYear()} in stars is ready
+            </button>
+          </div>
+        )}
+
         {curPromise && (
           <div style={{ textAlign:"center", marginTop:20 }}>
             <p style={{ color:P.muted, fontSize:11, marginBottom:4 }}>This week's intention:</p>
@@ -2614,7 +4110,20 @@ export default function StarFlow() {
       </>)}
 
       {/* ══════════ CONSTELLATION VIEW (practice map) ══════════ */}
-      {activeView === "constellation" && (<>
+      {activeView === "constellation" && (
+        <div style={{ display:"flex", justifyContent:"center", gap:6, marginTop:8 }}>
+          {["month", "year"].map(mode => (
+            <button key={mode} className="btn-ghost" onClick={() => setCalMode(mode)}
+              style={{
+                fontSize:12, padding:"4px 14px", borderRadius:12,
+                color: calMode === mode ? P.nebula : P.muted,
+                border:`1px solid ${calMode === mode ? P.nebula : P.glassBorder}`,
+              }}>{mode === "month" ? "Month" : "Year"}</button>
+          ))}
+        </div>
+      )}
+
+      {activeView === "constellation" && calMode === "month" && (<>
         <div style={{ textAlign:"center", marginTop:8, marginBottom:16 }}>
           <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:20, fontWeight:600 }}>
             {new Date(viewYear, viewMonth-1).toLocaleDateString("en-US", { month:"long" })} Constellation
@@ -2628,22 +4137,25 @@ export default function StarFlow() {
             <button className="cal-arrow" onClick={nextMonth}>›</button>
           </div>
           <div className="cal-grid">
-            {["Mo","Tu","We","Th","Fr","Sa","Su"].map(d => <div key={d} className="cal-dayname">{d}</div>)}
-            {calendarWeeks(viewYear, viewMonth).flat().map((day, i) => {
+            {weekdayNames(weekStart).map(d => <div key={d} className="cal-dayname">{d}</div>)}
+            {calendarWeeks(viewYear, viewMonth, weekStart).flat().map((day, i) => {
               if (day === 0) return <div key={`e${i}`} className="cal-cell empty" />;
               const ds = `${viewYear}-${String(viewMonth).padStart(2,"0")}-${String(day).padStart(2,"0")}`;
-              const es = entriesFor(entries, ds);
+              const es = scores.entriesOn(ds);
               const hasAct = es.length > 0;
               const isToday = isCurrentMonth && day === now.getDate();
-              const dp = dailyStars(entries, ds, activities);
+              const dp = scores.dayStars(ds);
               const starCounts = {};
               activities.forEach(act => {
-                const count = es.filter(e => e.activity_type === act.id).length;
+                const count = es.filter(e => activitiesOf(e).includes(act.id)).length;
                 if (count > 0) starCounts[act.id] = Math.min(count, 2);
               });
               return (
-                <div key={ds} className={`cal-cell ${isToday?"today":""} ${hasAct?"active":""}`}>
+                <div key={ds} className={`cal-cell ${isToday?"today":""} ${hasAct?"active":""} ${!hasAct && scores.isRest(ds)?"rest":""} ${ds <= today || scores.isRest(ds)?"open":""}`}
+                  onClick={() => (ds <= today || scores.isRest(ds)) && setDayDrawer(ds)}>
                   <span className="cal-day">{day}</span>
+                  {!hasAct && scores.isRest(ds) && <span className="cal-rest">☾</span>}
+                  {streakRec.frozen.includes(ds) && <span className="cal-rest" title="Streak freeze used">❄</span>}
                   {Object.keys(starCounts).length > 0 && (
                     <div className="cal-dots">
                       {activities.map(act =>
@@ -2673,27 +4185,203 @@ export default function StarFlow() {
         </GlassCard>
         <div style={{ textAlign:"center", marginTop:16 }}>
           <p style={{ color:P.soft, fontSize:13 }}>
-            <span style={{ color:P.gold, fontWeight:600 }}>{stats.pts}</span> starlight · <span style={{ color:P.text }}>{Math.round(entries.filter(e => { const ds = e.date; return ds.startsWith(`${viewYear}-${String(viewMonth).padStart(2,"0")}`); }).reduce((s, e) => s + (e.duration_min || 0), 0))}</span> total minutes this month
+            <span style={{ color:P.gold, fontWeight:600 }}>{stats.pts}</span> starlight · <span style={{ color:P.text }}>{Math.round(stats.minutes)}</span> total minutes this month
             {stats.target && <span style={{ color:P.nebula }}> · Monthly goal reached</span>}
             {stats.stretch && <span style={{ color:P.gold }}> · Stretch goal reached</span>}
           </p>
         </div>
+
+        {activities.some(a => bests[a.id]) && (<>
+          <div className="section-header">
+            <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:18 }}>Personal Bests</h3>
+          </div>
+          <GlassCard className="section-card">
+            {activities.filter(a => bests[a.id]).map(act => {
+              const st = bests[act.id];
+              const fields = activityMetrics(act).filter(m => st[m.key]);
+              return (
+                <div key={act.id} style={{ padding:"6px 0", fontSize:12 }}>
+                  <span style={{ color:P.text }}><span style={{ color:act.color }}>✦</span> {act.label}</span>
+                  {fields.map(({ key, unit }) => {
+                    const m = st[key];
+                    return (
+                      <div key={key} style={{ display:"flex", justifyContent:"space-between", color:P.muted, paddingLeft:16, marginTop:2 }}>
+                        <span>{METRIC_TYPES[key].label}</span>
+                        {METRIC_TYPES[key].total
+                          ? <span>
+                              <span style={{ color:P.gold, fontWeight:600 }} title={fmtDay(m.bestDate)}>best {fmtMetric(key, m.best, unit)}</span>
+                              {" · "}{fmtMetric(key, m.total, unit)} total
+                            </span>
+                          : <span>avg <span style={{ color:P.soft, fontWeight:600 }}>{m.avg.toFixed(1)}</span> over {m.count} session{m.count !== 1 ? "s" : ""}</span>}
+                      </div>
+                    );
+                  })}
+                  {st.pace && (
+                    <div style={{ display:"flex", justifyContent:"space-between", color:P.muted, paddingLeft:16, marginTop:2 }}>
+                      <span>Fastest pace</span>
+                      <span style={{ color:P.gold, fontWeight:600 }} title={fmtDay(st.pace.bestDate)}>
+                        {fmtPace(st.pace.best, fields.find(m => m.key === "distance")?.unit || "km", st.pace.per)}
+                      </span>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </GlassCard>
+        </>)}
+
+        {activities.some(a => moodAll[a.id]) && (<>
+          <div className="section-header">
+            <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:18 }}>How Sessions Feel</h3>
+          </div>
+          <GlassCard className="section-card">
+            {activities.filter(a => moodAll[a.id]).map(act => {
+              const all = moodAll[act.id], recent = moodRecent[act.id];
+              const fmtShift = x => `${x >= 0 ? "+" : "−"}${Math.abs(x).toFixed(1)}`;
+              return (
+                <div key={act.id} style={{ display:"flex", justifyContent:"space-between", alignItems:"baseline", fontSize:12, padding:"5px 0" }}>
+                  <span style={{ color:P.text }}>
+                    <span style={{ color:act.color }}>✦</span> {act.label}
+                    <span style={{ color:P.muted }}> · {MOOD_LABELS[Math.round(all.before)]} → {MOOD_LABELS[Math.round(all.after)]}</span>
+                  </span>
+                  <span style={{ color: all.shift > 0 ? P.aurora : P.muted, fontWeight:600 }} title={`${all.sessions} rated session${all.sessions !== 1 ? "s" : ""}`}>
+                    {fmtShift(all.shift)}
+                    {recent && recent.sessions < all.sessions && (
+                      <span style={{ color:P.muted, fontWeight:400 }}> · last 30 days {fmtShift(recent.shift)}</span>
+                    )}
+                  </span>
+                </div>
+              );
+            })}
+            {(() => {
+              const best = activities.filter(a => moodAll[a.id]?.shift > 0).sort((a, b) => moodAll[b.id].shift - moodAll[a.id].shift)[0];
+              return best && (
+                <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:14, marginTop:8, textAlign:"center" }}>
+                  {best.label} lifts you most — about {moodAll[best.id].shift.toFixed(1)} steps brighter.
+                </p>
+              );
+            })()}
+          </GlassCard>
+        </>)}
+      </>)}
+
+      {/* ══════════ YEAR VIEW (Constellation, year mode) ══════════ */}
+      {yearView && (<>
+        <div style={{ textAlign:"center", marginTop:8, marginBottom:16 }}>
+          <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:20, fontWeight:600 }}>
+            {viewYear} in Stars
+          </h3>
+          <p style={{ color:P.muted, fontSize:11, marginTop:4 }}>A whole year of movement and mindfulness</p>
+        </div>
+        <GlassCard className="section-card">
+          <div className="cal-nav">
+            <button className="cal-arrow" onClick={() => setViewYear(viewYear - 1)}>‹</button>
+            <span className="cal-title">{viewYear}</span>
+            <button className="cal-arrow" onClick={() => setViewYear(viewYear + 1)}>›</button>
+          </div>
+          <div className="year-grid">
+            {[
+              [yearView.pts.toLocaleString(), "starlight", P.gold],
+              [yearView.minutes.toLocaleString(), "minutes", P.text],
+              [yearView.sessions, "sessions", P.nebula],
+              [yearView.activeDays, "active days", P.text],
+              [`${Math.round(yearView.mindfulRatio * 100)}%`, "mindful", P.moon],
+              [honoredIn(viewYear), "intentions honored", P.gold],
+            ].map(([value, label, color]) => (
+              <div key={label} style={{ textAlign:"center" }}>
+                <span style={{ color, fontSize:20, fontWeight:700, fontFamily:"'Cormorant Garamond', Georgia, serif" }}>{value}</span>
+                <p style={{ color:P.muted, fontSize:10, marginTop:2 }}>{label}</p>
+              </div>
+            ))}
+          </div>
+        </GlassCard>
+
+        <GlassCard className="section-card">
+          <div className="card-header">
+            <h3 className="card-title">Months</h3>
+            <span className="card-pts" style={{ color:P.nebula }}>{yearView.monthsOnTarget}/12 on target</span>
+          </div>
+          <div className="year-bars">
+            {yearView.months.map(mo => {
+              const max = Math.max(targets.monthlyStretch, ...yearView.months.map(x => x.pts), 1);
+              return (
+                <button key={mo.m} className="year-bar" title={`${mo.pts} starlight`}
+                  onClick={() => { setViewMonth(mo.m); setCalMode("month"); }}>
+                  <span className="year-bar-fill" style={{
+                    height:`${Math.max(2, (mo.pts / max) * 100)}%`,
+                    background: mo.stretch ? P.gold : mo.target ? P.nebula : P.dim,
+                  }} />
+                  <span className="year-bar-label">{new Date(viewYear, mo.m - 1).toLocaleDateString("en-US", { month:"narrow" })}</span>
+                </button>
+              );
+            })}
+          </div>
+        </GlassCard>
+
+        <GlassCard className="section-card">
+          <div className="card-header">
+            <h3 className="card-title">Weekly Tiers</h3>
+            <span style={{ fontSize:11 }}>
+              {tiersOf(targets.tiers).reverse().map((t, i) => (
+                <span key={t.tier}>
+                  {i > 0 && <span style={{ color:P.muted }}> · </span>}
+                  <span style={{ color:tierColor(t) }}>{yearView.tierCounts[t.tier]} {t.label}</span>
+                </span>
+              ))}
+            </span>
+          </div>
+          <div className="year-weeks">
+            {yearView.weeks.map(w => (
+              <span key={w.start} title={`Week of ${fmtDay(w.start)} · ${w.pts}`} style={{
+                color: tierColor(w.tier),
+                opacity: w.start > today ? 0.3 : 1,
+              }}>✦</span>
+            ))}
+          </div>
+        </GlassCard>
+
+        <GlassCard className="section-card">
+          <div className="card-header">
+            <h3 className="card-title">Practice</h3>
+          </div>
+          {activities.map(act => (
+            <div key={act.id} style={{ display:"flex", justifyContent:"space-between", fontSize:12, padding:"3px 0" }}>
+              <span style={{ color:P.soft }}><span style={{ color:act.color }}>✦</span> {act.label}</span>
+              <span style={{ color:P.muted }}>
+                {yearView.actCounts[act.id] || 0} session{(yearView.actCounts[act.id] || 0) !== 1 ? "s" : ""}
+                {yearView.mindfulCounts[act.id] ? ` · ${yearView.mindfulCounts[act.id]} mindful` : ""}
+              </span>
+            </div>
+          ))}
+          <div className="divider" />
+          <p style={{ color:P.soft, fontSize:12 }}>
+            {yearView.longestRun
+              ? <>Longest streak: <span style={{ color:P.gold }}>{yearView.longestRun.length} days</span> · {fmtDay(yearView.longestRun.start)} – {fmtDay(yearView.longestRun.end)}</>
+              : "No streaks yet this year — every start counts."}
+          </p>
+        </GlassCard>
+
+        {recapReady(viewYear) && yearView.sessions > 0 && (
+          <div style={{ textAlign:"center", marginTop:16 }}>
+            <button className="btn-primary" onClick={() => setRecapYear(viewYear)}>✦ Your Year in Stars</button>
+          </div>
+        )}
       </>)}
 
       {/* ══════════ CHECK-IN VIEW (weekly goals & intentions) ══════════ */}
       {activeView === "checkin" && (<>
         <GlassCard className="section-card" style={{ marginTop:8 }}>
           <div className="card-header">
-            <h3 className="card-title">Week {cw}</h3>
+            <h3 className="card-title">Week of {fmtDay(cw)}</h3>
             <div style={{ display:"flex", alignItems:"center", gap:8 }}>
-              {getTier(wp, targets.weeklyStarTarget).tier !== "none" && (
+              {getTier(wp, weekTargets.weeklyStarTarget, weekTargets.tiers).tier !== "none" && (
                 <span style={{
-                  color: getTier(wp, targets.weeklyStarTarget).color,
+                  color: tierColor(getTier(wp, weekTargets.weeklyStarTarget, weekTargets.tiers)),
                   fontSize: 11, fontWeight: 600,
                   padding: "2px 8px", borderRadius: 10,
-                  border: `1px solid ${getTier(wp, targets.weeklyStarTarget).color}40`,
-                  background: `color-mix(in srgb, ${getTier(wp, targets.weeklyStarTarget).color} 8%, transparent)`,
-                }}>✦ {getTier(wp, targets.weeklyStarTarget).label}</span>
+                  border: `1px solid ${tierColor(getTier(wp, weekTargets.weeklyStarTarget, weekTargets.tiers))}40`,
+                  background: `color-mix(in srgb, ${tierColor(getTier(wp, weekTargets.weeklyStarTarget, weekTargets.tiers))} 8%, transparent)`,
+                }}>✦ {getTier(wp, weekTargets.weeklyStarTarget, weekTargets.tiers).label}</span>
               )}
               <span className="card-pts" style={{ color:P.nebula }}>{wp} starlight</span>
             </div>
@@ -2706,6 +4394,11 @@ export default function StarFlow() {
               This week: "{curPromise}"
             </p>
           )}
+          {curMonthPromise && (
+            <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:13, marginBottom:8, lineHeight:1.5 }}>
+              This month: "{curMonthPromise}"
+            </p>
+          )}
           {!curPromise && !claimed.includes(curWeekKey) && (
             <button className="btn-ghost" style={{ fontSize:12, color:P.nebula, padding:"2px 0", marginBottom:8 }}
               onClick={() => setPromiseModal({ wk: cw, rk: curWeekKey })}>
@@ -2715,52 +4408,146 @@ export default function StarFlow() {
           {milestone && <p className="milestone">{milestone}</p>}
           <div className="divider" />
           <p style={{ color:P.soft, fontSize:12, fontWeight:600, marginBottom:8 }}>Weekly Progress</p>
-          <ConstellationBar pts={wp} target={targets.weeklyStarTarget} />
+          <ConstellationBar pts={wp} target={weekTargets.weeklyStarTarget} tierDefs={weekTargets.tiers} />
           <p style={{ color:P.soft, fontSize:12, marginTop:12 }}>
             {(() => {
-              const next = nextTierInfo(wp, targets.weeklyStarTarget);
-              if (!next) return `✦ ${curPromise ? `Gold reached — honor: "${curPromise}"` : "Gold reached. Your constellation is radiant."}`;
+              const next = nextTierInfo(wp, weekTargets.weeklyStarTarget, weekTargets.tiers);
+              const top = tiersOf(weekTargets.tiers).pop().label;
+              if (!next) return `✦ ${curPromise ? `${top} reached — honor: "${curPromise}"` : `${top} reached. Your constellation is radiant.`}`;
               return `☽ ${next.remaining} starlight to ${next.label}`;
             })()}
           </p>
         </GlassCard>
 
+        <GlassCard className="section-card" style={{ marginTop:12 }}>
+          <div className="card-header">
+            <h3 className="card-title">Streak Record</h3>
+            <span className="card-pts" style={{ color:P.moon }} title={`One freeze is earned per ${tiersOf(targets.tiers).pop().label} week (up to ${STREAK_FREEZE_CAP})`}>
+              {"❄".repeat(streakRec.freezes) || "·"} {streakRec.freezes} freeze{streakRec.freezes !== 1 ? "s" : ""}
+            </span>
+          </div>
+          <div style={{ display:"flex", justifyContent:"center", gap:32, marginBottom:8 }}>
+            <div style={{ textAlign:"center" }}>
+              <span style={{ color:streak > 0 ? P.gold : P.dim, fontSize:22, fontWeight:700, fontFamily:"'Cormorant Garamond', Georgia, serif" }}>{streak}</span>
+              <p style={{ color:P.muted, fontSize:10, marginTop:2 }}>current</p>
+            </div>
+            <div style={{ textAlign:"center" }}>
+              <span style={{ color:longestStreak > 0 ? P.nebula : P.dim, fontSize:22, fontWeight:700, fontFamily:"'Cormorant Garamond', Georgia, serif" }}>{longestStreak}</span>
+              <p style={{ color:P.muted, fontSize:10, marginTop:2 }}>longest</p>
+            </div>
+          </div>
+          {streakRec.history.length > 0 ? (<>
+            <div className="divider" />
+            <p style={{ color:P.soft, fontSize:12, fontWeight:600, marginBottom:6 }}>Past streaks</p>
+            {streakRec.history.slice(-5).reverse().map(h => {
+              const fmt = ds => parseDateStr(ds).toLocaleDateString("en-US", { month:"short", day:"numeric" });
+              return (
+                <div key={h.start} style={{ display:"flex", justifyContent:"space-between", fontSize:12, color:P.soft, padding:"3px 0" }}>
+                  <span>{fmt(h.start)} – {fmt(h.end)}</span>
+                  <span style={{ color: h.length === longestStreak ? P.gold : P.muted }}>{h.length} day{h.length !== 1 ? "s" : ""}</span>
+                </div>
+              );
+            })}
+          </>) : (
+            <p style={{ color:P.muted, fontSize:11, fontStyle:"italic", textAlign:"center" }}>
+              {tiersOf(targets.tiers).pop().label} weeks bank a streak freeze — it covers a missed day on its own.
+            </p>
+          )}
+        </GlassCard>
+
+        <div style={{ textAlign:"center", marginTop:4 }}>
+          <button className="btn-ghost" style={{ fontSize:12, color:P.gold }} onClick={() => setShowAchievements(true)}>
+            ✦ Achievements · {ACHIEVEMENTS.filter(a => userData.achievements?.[a.id]).length}/{ACHIEVEMENTS.length}
+          </button>
+        </div>
+
         <div className="section-header">
           <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:18 }}>Weekly Sky</h3>
         </div>
         <div className="week-pills">
-          {Array.from({ length: numWeeks }, (_, i) => i + 1).map(wk => {
-            const wkPts = weekStars(entries, viewYear, viewMonth, wk, activities);
-            const wkTier = getTier(wkPts, targets.weeklyStarTarget);
-            const isCur = isCurrentMonth && wk === cw;
+          {viewWeeks.map((wk, i) => {
+            const wkPts = scores.weekStars(wk), wt = scores.targetsOn(wk, targets);
+            const wkTier = getTier(wkPts, wt.weeklyStarTarget, wt.tiers);
+            const isCur = wk === cw;
             return (
               <GlassCard key={wk} className={`week-pill ${isCur ? "current" : ""}`} glow={isCur} glowColor={P.nebula}>
-                <span className="wp-label">W{wk}</span>
+                <span className="wp-label" title={`Week of ${fmtDay(wk)}`}>W{i + 1}</span>
                 <span className="wp-pts">{wkPts}</span>
                 {wkTier.tier !== "none"
-                  ? <span className="wp-tier" style={{ color: wkTier.color, fontSize: 9 }}>✦ {wkTier.label}</span>
+                  ? <span className="wp-tier" style={{ color: tierColor(wkTier), fontSize: 9 }}>✦ {wkTier.label}</span>
                   : <span className="wp-tier" style={{ color: P.dim }}>·</span>}
               </GlassCard>
             );
           })}
         </div>
 
+        <div className="section-header" style={{ marginTop:20 }}>
+          <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:18 }}>☽ Monthly Intention</h3>
+        </div>
+        {(() => {
+          const rk = viewMonthKey;
+          const isClaimed = claimed.includes(rk);
+          const promiseText = promises[rk] || "";
+          const monthPast = rk < monthKey(now.getFullYear(), now.getMonth() + 1);
+          const mt = scores.targetsOn(`${viewYear}-${String(viewMonth).padStart(2, "0")}-01`, targets);
+          return (
+            <GlassCard className="section-card reward-row">
+              <div style={{ display:"flex", justifyContent:"space-between", alignItems:"center" }}>
+                <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+                  <span style={{ color:P.text, fontSize:13 }}>{new Date(viewYear, viewMonth-1).toLocaleDateString("en-US", { month:"long" })}</span>
+                  {stats.target && (
+                    <span style={{ color: stats.stretch ? P.gold : P.nebula, fontSize:10, fontWeight:600 }}>
+                      ✦ {stats.stretch ? "Stretch" : "Target"}
+                    </span>
+                  )}
+                </div>
+                {!promiseText && !monthPast && !isClaimed && (
+                  <button className="btn-ghost" style={{ fontSize:12, padding:"4px 12px", color:P.nebula }}
+                    onClick={() => setPromiseModal({ rk, period: "month" })}>Set intention</button>
+                )}
+                {!promiseText && monthPast && !isClaimed && (
+                  <span style={{ color:P.dim, fontSize:12 }}>No intention set</span>
+                )}
+                {promiseText && !stats.target && !monthPast && (
+                  <span style={{ color:P.dim, fontSize:12 }}>{mt.monthlyTarget - stats.pts} to target</span>
+                )}
+                {promiseText && stats.target && !isClaimed && (
+                  <button className="btn-primary" style={{ fontSize:12, padding:"4px 14px" }}
+                    onClick={() => setRewardModal({ rk, period: "month", exceeded: stats.stretch })}>Reflect</button>
+                )}
+                {promiseText && !stats.target && monthPast && !isClaimed && (
+                  <span style={{ color:P.soft, fontSize:12, fontStyle:"italic" }}>Your intention still matters</span>
+                )}
+                {isClaimed && (
+                  <div style={{ display:"flex", alignItems:"center", gap:8 }}>
+                    <span style={{ color:P.gold, fontSize:13 }}>✦ Honored</span>
+                    <button className="btn-ghost" style={{ fontSize:11, padding:"2px 8px" }} onClick={() => unclaim(rk)}>undo</button>
+                  </div>
+                )}
+              </div>
+              {promiseText && (
+                <p style={{ color:P.soft, fontFamily:"'Cormorant Garamond', Georgia, serif", fontStyle:"italic", fontSize:13, marginTop:6, lineHeight:1.5 }}>"{promiseText}"</p>
+              )}
+            </GlassCard>
+          );
+        })()}
+
         <div className="section-header" style={{ marginTop:20 }}>
           <h3 style={{ color:P.text, fontFamily:"'Cormorant Garamond', Georgia, serif", fontSize:18 }}>☽ Weekly Intentions</h3>
         </div>
-        {Array.from({ length: numWeeks }, (_, i) => i + 1).map(wk => {
-          const wkPts = weekStars(entries, viewYear, viewMonth, wk, activities);
-          const wkTier = getTier(wkPts, targets.weeklyStarTarget);
-          const wkGoal = wkPts >= targets.weeklyStarTarget;
-          const exceeded = wkTier.tier === "gold";
-          const rk = `${viewYear}-${String(viewMonth).padStart(2,"0")}-W${wk}`;
+        {viewWeeks.map((wk, i) => {
+          const wkPts = scores.weekStars(wk), wt = scores.targetsOn(wk, targets);
+          const wkTier = getTier(wkPts, wt.weeklyStarTarget, wt.tiers);
+          const wkGoal = wkPts >= wt.weeklyStarTarget;
+          const exceeded = wkTier.top;
+          const rk = weekKeyOf(wk, weekStart);
           const isClaimed = claimed.includes(rk);
           const hasPromise = !!promises[rk];
           const promiseText = promises[rk] || "";
-          const [ws, we] = weekRange(viewYear, viewMonth, wk);
-          const weekPast = new Date() > we;
-          const isCurWeek = isCurrentMonth && wk === cw;
-          const dateLabel = `Week ${wk} · ${ws.toLocaleDateString("en-US",{month:"short",day:"numeric"})}–${we.getDate()}`;
+          const we = addDays(wk, 6);
+          const weekPast = today > we;
+          const isCurWeek = wk === cw;
+          const dateLabel = `Week ${i + 1} · ${fmtDay(wk)}–${fmtDay(we)}`;
           return (
             <GlassCard key={rk} className="section-card reward-row">
               <div style={{ marginBottom: hasPromise ? 8 : 0 }}>
@@ -2768,7 +4555,7 @@ export default function StarFlow() {
                   <div style={{ display:"flex", alignItems:"center", gap:8 }}>
                     <span style={{ color:P.text, fontSize:13 }}>{dateLabel}</span>
                     {wkTier.tier !== "none" && (
-                      <span style={{ color: wkTier.color, fontSize: 10, fontWeight: 600 }}>✦ {wkTier.label}</span>
+                      <span style={{ color: tierColor(wkTier), fontSize: 10, fontWeight: 600 }}>✦ {wkTier.label}</span>
                     )}
                   </div>
                   {!hasPromise && (isCurWeek || !weekPast) && !isClaimed && (
@@ -2780,7 +4567,7 @@ export default function StarFlow() {
                   )}
                   {hasPromise && !wkGoal && !weekPast && (
                     <span style={{ color:P.dim, fontSize:12 }}>
-                      {(() => { const n = nextTierInfo(wkPts, targets.weeklyStarTarget); return n ? `${n.remaining} to ${n.label}` : ""; })()}
+                      {(() => { const n = nextTierInfo(wkPts, wt.weeklyStarTarget, wt.tiers); return n ? `${n.remaining} to ${n.label}` : ""; })()}
                     </span>
                   )}
                   {hasPromise && wkGoal && !isClaimed && (
@@ -2806,6 +4593,12 @@ export default function StarFlow() {
         })}
       </>)}
 
+      {/* ══════════ JOURNAL VIEW ══════════ */}
+      {activeView === "journal" && (
+        <JournalView entries={entries} activities={activities} scoreOf={scores.scoreOf} bestIds={bestIds}
+          canEdit={canEditEntry} today={today} onOpenDay={setDayDrawer} onDelete={delEntries} onRetype={retypeEntries} />
+      )}
+
       <div style={{ height:80 }} />
     </div>
 
@@ -2820,6 +4613,7 @@ export default function StarFlow() {
           { id:"now", label:"Now", icon:"✦" },
           { id:"constellation", label:"Practice", icon:"☽" },
           { id:"checkin", label:"Check-in", icon:"⟡" },
+          { id:"journal", label:"Journal", icon:"✎" },
         ].map(tab => (
           <button key={tab.id} onClick={() => setActiveView(tab.id)}
             style={{
@@ -2843,18 +4637,47 @@ export default function StarFlow() {
       </div>
     </nav>
     {/* ── Modals ── */}
-    {showLog && <LogModal onClose={() => setShowLog(false)} onLog={addEntry} activities={activities} allEntries={entries} />}
+    {dayDrawer && <DayDrawer ds={dayDrawer} entries={scores.entriesOn(dayDrawer)} activities={activities} explain={scores.explain}
+      isRest={scores.isRest(dayDrawer)} intention={promises[weekKeyOf(dayDrawer, weekStart)]} honored={claimed.includes(weekKeyOf(dayDrawer, weekStart))}
+      canAdd={dayDrawer >= addDays(today, -BACKDATE_DAYS)} canEdit={canEditEntry} bestIds={bestIds}
+      onAdd={() => setLogOnDay(dayDrawer)} onEdit={setEditingEntry} onDelete={delEntry} onClose={() => setDayDrawer(null)} />}
+    {showRest && <RestDayModal restDays={restDays} hasEntries={scores.has} weekStart={weekStart} clock={clock} onClose={() => setShowRest(false)} onSave={saveRestDays} />}
+    {showLog && <LogModal onClose={() => setShowLog(false)} onLog={addEntry} activities={activities} allEntries={entries} scoring={scoring} weekStart={weekStart} clock={clock}
+      timerRunning={!!sessionTimer.timer} onStartTimer={sessionTimer.start} />}
+    {toast && (
+      <div className="undo-toast">
+        <span>✦ {toast.text}</span>
+        {toast.redo
+          ? <button className="btn-ghost" style={{ fontSize:13, padding:"2px 8px", color:P.nebula }} onClick={redoStep}>Redo</button>
+          : <button className="btn-ghost" style={{ fontSize:13, padding:"2px 8px", color:P.nebula }} onClick={toast.undo || undoStep} title={toast.undo ? undefined : "⌘Z / Ctrl+Z"}>Undo</button>}
+      </div>
+    )}
+    {showGuided && <GuidedPlayer activities={activities} clock={clock} onComplete={addEntry} onClose={() => setShowGuided(false)} />}
+    {logOnDay && <LogModal date={logOnDay} onClose={() => setLogOnDay(null)} onLog={addEntry}
+      activities={activities} allEntries={entries} scoring={scoring} weekStart={weekStart} clock={clock} />}
+    {timedLog && <LogModal prefill={timedLog} onClose={() => setTimedLog(null)} onLog={fields => { addEntry(fields); sessionTimer.clear(); }}
+      onDiscard={discardTimer}
+      activities={activities} allEntries={entries} scoring={scoring} weekStart={weekStart} clock={clock} />}
+    {editingEntry && <LogModal entry={editingEntry} onClose={() => setEditingEntry(null)} onLog={fields => updateEntry(editingEntry.id, fields)}
+      activities={activities} allEntries={entries} scoring={scoring} weekStart={weekStart} clock={clock} />}
     {promiseModal && <PromiseModal {...promiseModal} onClose={() => setPromiseModal(null)}
       onSetPromise={(rk, text) => setPromise(rk, text)} suggestions={rewards} />}
     {rewardModal && <ReflectModal {...rewardModal} promise={promises[rewardModal.rk]}
       onClose={() => setRewardModal(null)} onClaim={(rk) => claimReward(rk)} />}
     {celebrate && <CelebrateModal {...celebrate} onClose={() => setCelebrate(null)} />}
+    {targetProposal && !showIntentionNudge && (
+      <TargetProposalModal proposal={targetProposal} current={targets}
+        onAccept={() => answerTargetProposal(true)} onDecline={() => answerTargetProposal(false)} />
+    )}
+    {recapStats && <YearRecapModal ys={recapStats} honored={honoredIn(recapYear)} activities={activities} tierDefs={targets.tiers} onClose={() => setRecapYear(null)} />}
+    {showAchievements && <AchievementsModal earned={userData.achievements || {}} onClose={() => setShowAchievements(false)} />}
+    {breakdown && <BreakdownModal {...breakdown} activities={activities} explain={scores.explain} canEdit={canEditEntry}
+      onEdit={entry => { setBreakdown(null); setEditingEntry(entry); }} bestIds={bestIds} onClose={() => setBreakdown(null)} />}
 
-    {/* ── Intention Nudge (Monday / new account) ── */}
+    {/* ── Intention Nudge (first day of the week / new account) ── */}
     {showIntentionNudge && (
       <div className="modal-overlay" onClick={() => {
-        const n = new Date(), cw2 = weekOfMonth(n);
-        localStorage.setItem("sf_nudge_" + n.getFullYear() + "-" + String(n.getMonth()+1).padStart(2,"0") + "-W" + cw2, "1");
+        localStorage.setItem("sf_nudge_" + curWeekKey, "1");
         setShowIntentionNudge(false);
       }}>
         <div className="modal-content" onClick={e => e.stopPropagation()} style={{ textAlign:"center" }}>
@@ -2874,16 +4697,14 @@ export default function StarFlow() {
           </p>
           <div style={{ display:"flex", gap:12, justifyContent:"center" }}>
             <button className="btn-primary" onClick={() => {
-              const n = new Date(), cw2 = weekOfMonth(n);
-              localStorage.setItem("sf_nudge_" + n.getFullYear() + "-" + String(n.getMonth()+1).padStart(2,"0") + "-W" + cw2, "1");
+              localStorage.setItem("sf_nudge_" + curWeekKey, "1");
               setShowIntentionNudge(false);
               setPromiseModal({ wk: cw, rk: curWeekKey });
             }}>
               {"✦ Set This Week\u2019s Intention"}
             </button>
             <button className="btn-ghost" onClick={() => {
-              const n = new Date(), cw2 = weekOfMonth(n);
-              localStorage.setItem("sf_nudge_" + n.getFullYear() + "-" + String(n.getMonth()+1).padStart(2,"0") + "-W" + cw2, "1");
+              localStorage.setItem("sf_nudge_" + curWeekKey, "1");
               setShowIntentionNudge(false);
             }}>
               {entries.length === 0 ? "I\u2019ll explore first" : "Maybe later"}
@@ -2910,7 +4731,12 @@ export default function StarFlow() {
             <div style={{ background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14, padding:14, marginBottom:10 }}>
               <p style={{ color:P.gold, fontWeight:600, fontSize:14, marginBottom:4 }}>✦ Add Presence</p>
               <p style={{ color:P.soft, fontSize:12, lineHeight:1.5 }}>
-                Phone-free or fully focused? That extra attention earns a presence glow — once per day, it deepens your light.
+                {scoring.mode === "activity"
+                  ? "Phone-free, pushed harder, fully focused? Each activity's own bonus deepens that session's light."
+                  : scoring.presenceCap <= 0 || scoring.presenceBonus <= 0
+                  ? "Phone-free or fully focused? Mark it mindful for your own record — your scoring profile earns no presence glow."
+                  : `Phone-free or fully focused? That extra attention earns a presence glow of ${scoring.presenceBonus}${
+                      scoring.presenceCap === 1 ? " — once per day" : ` — up to ${scoring.presenceCap} times a day`}.`}
               </p>
             </div>
             <div style={{ background:P.glass, border:`1px solid ${P.glassBorder}`, borderRadius:14, padding:14, marginBottom:10 }}>
@@ -2921,16 +4747,23 @@ export default function StarFlow() {
             </div>
             <div className="divider" />
             <p style={{ color:P.muted, fontSize:11, fontStyle:"italic", lineHeight:1.6 }}>
-              Every session earns at least 10 starlight. Bonuses for presence and return light add glow.
-              More sessions still count — bonuses are gentler, but the base is always yours.
+              {scoring.mode === "activity"
+                ? `Each activity has its own rhythm — longer sessions reach brighter tiers, and its bonus adds glow.${scoring.floor ? ` Every session still earns at least ${scoring.base} starlight.` : ""}`
+                : `Every session earns at least ${scoring.base} starlight. Bonuses for presence and return light add glow.`}
+              {" "}More sessions still count — bonuses are gentler, but the base is always yours.
             </p>
             <div className="divider" />
             <p style={{ color:P.soft, fontSize:12, marginTop:4 }}>
-              Weekly tiers: <span style={{ color:P.tierBronze }}>{Math.round(targets.weeklyStarTarget * 0.5)} Bronze</span> · <span style={{ color:P.tierSilver }}>{targets.weeklyStarTarget} Silver</span> · <span style={{ color:P.tierGold }}>{Math.round(targets.weeklyStarTarget * 1.5)} Gold</span>
+              Weekly tiers: {tierLadder(targets.weeklyStarTarget, targets.tiers).map((t, i) => (
+                <span key={t.tier}>{i > 0 && " · "}<span style={{ color:tierColor(t) }} title={t.sub}>{t.threshold} {t.label}</span></span>
+              ))}
             </p>
             <p style={{ color:P.soft, fontSize:12, marginTop:2 }}>
               Monthly: <span style={{ color:P.nebula }}>{targets.monthlyTarget}</span> · Stretch: <span style={{ color:P.gold }}>{targets.monthlyStretch}</span>
             </p>
+            <p style={{ color:P.muted, fontSize:11, fontStyle:"italic", marginTop:10 }}>
+              Tap any moment, or a day in your Constellation, to see exactly how its starlight was counted.
+            </p>
           </div>
           <button className="btn-primary" onClick={() => setShowGuide(false)} style={{ marginTop:20 }}>I understand</button>
         </div>
@@ -3025,9 +4858,10 @@ const STYLES = `
 .milestone{font-family:'Cormorant Garamond',Georgia,serif;font-style:italic;font-size:13px;color:${P.nebula};margin-bottom:8px;}
 
 /* ── Entries ── */
-.entry-card{display:flex;justify-content:space-between;align-items:center;padding:10px 14px;border-radius:14px;border:1px solid color-mix(in srgb,var(--accent) 30%,transparent);margin-bottom:6px;}
+.entry-card{display:flex;flex-wrap:wrap;justify-content:space-between;align-items:center;padding:10px 14px;border-radius:14px;border:1px solid color-mix(in srgb,var(--accent) 30%,transparent);margin-bottom:6px;}
 .entry-left{display:flex;align-items:center;gap:8px;}
 .entry-name{font-size:13px;font-weight:500;}
+.entry-note{flex-basis:100%;margin-top:4px;font-family:'Cormorant Garamond',Georgia,serif;font-style:italic;font-size:13px;color:${P.soft};line-height:1.4;}
 .bonus-star{font-size:10px;}
 .entry-right{display:flex;align-items:center;gap:10px;}
 .del-btn{background:none;border:none;color:${P.muted};cursor:pointer;font-size:16px;padding:0 4px;transition:color 0.2s;}
@@ -3055,6 +4889,23 @@ const STYLES = `
 .btn-primary:hover{background:${P.btnActive};}
 .btn-primary:disabled{opacity:0.4;cursor:not-allowed;}
 .btn-large{padding:14px 40px;font-size:16px;}
+.timer-pill{display:inline-flex;align-items:center;gap:8px;margin:0 auto 16px;padding:6px 8px 6px 14px;border-radius:20px;background:${P.glass};border:1px solid color-mix(in srgb,var(--accent) 40%,transparent);}
+.timer-dot{color:var(--accent);font-size:14px;}
+.timer-dot.running{animation:gentle-pulse 2s ease-in-out infinite;}
+.quick-chip{background:${P.glass};border:1px solid color-mix(in srgb,var(--accent) 35%,transparent);color:${P.soft};border-radius:20px;padding:6px 12px;font-size:12px;cursor:pointer;font-family:'Inter',sans-serif;transition:all 0.2s;}
+.quick-chip:hover{color:${P.text};border-color:var(--accent);}
+.journal-filters{display:flex;flex-wrap:wrap;gap:6px;margin-bottom:8px;}
+.journal-date{font-size:12px;padding:7px 10px;color-scheme:dark;}
+.journal-bulk{display:flex;flex-wrap:wrap;align-items:center;gap:8px;padding:10px 14px;position:sticky;top:8px;z-index:5;}
+.journal-day{color:${P.muted};font-size:11px;letter-spacing:0.05em;text-transform:uppercase;margin:14px 4px 6px;}
+.journal-check{width:18px;height:18px;flex-shrink:0;border-radius:6px;border:1px solid ${P.dim};background:transparent;color:${P.gold};font-size:11px;line-height:1;cursor:pointer;padding:0;}
+.journal-check.on{border-color:${P.gold};}
+.undo-toast{position:fixed;left:50%;bottom:96px;transform:translateX(-50%);z-index:60;display:flex;align-items:center;gap:10px;padding:8px 10px 8px 16px;border-radius:14px;background:${P.bg};border:1px solid ${P.glassBorder};color:${P.text};font-size:13px;box-shadow:0 8px 30px rgba(0,0,0,0.4);animation:fade-in 0.2s ease;}
+.guided-stage{height:180px;display:flex;align-items:center;justify-content:center;margin:8px 0;}
+.guided-star{display:inline-block;font-size:120px;line-height:1;transition:transform 0.2s linear;}
+.guided-star.working{animation:gentle-pulse 0.8s ease-in-out infinite;}
+.guided-option{display:flex;flex-direction:column;align-items:flex-start;gap:2px;background:${P.glass};border:1px solid ${P.glassBorder};border-radius:12px;padding:10px 14px;cursor:pointer;text-align:left;font-family:'Inter',sans-serif;transition:border-color 0.2s;}
+.guided-option.active{border-color:${P.nebula};}
 .btn-ghost{background:transparent;color:${P.muted};border:none;padding:8px 16px;font-size:14px;cursor:pointer;transition:color 0.2s;font-family:'Inter',sans-serif;}
 .btn-ghost:hover{color:${P.text};}
 
@@ -3068,8 +4919,11 @@ const STYLES = `
 .cal-cell{position:relative;aspect-ratio:1.2;border-radius:8px;padding:3px 4px;display:flex;flex-direction:column;min-height:42px;}
 .cal-cell.empty{background:transparent;}
 .cal-cell.today{background:rgba(30,26,58,0.6);border:1.5px solid ${P.nebula};}
-.cal-cell.active{background:rgba(25,21,53,0.5);border:1px solid ${P.dim};}
+.cal-cell.active{background:rgba(25,21,53,0.5);border:1px solid ${P.dim};cursor:pointer;}
+.cal-cell.rest{background:rgba(201,209,255,0.05);border:1px dashed ${P.dim};cursor:pointer;}
+.cal-cell.open{cursor:pointer;}
 .cal-day{font-size:10px;color:${P.muted};}
+.cal-rest{margin-top:auto;font-size:10px;line-height:1;color:${P.moon};opacity:0.8;}
 .cal-cell.today .cal-day,.cal-cell.active .cal-day{color:${P.text};font-weight:600;}
 .cal-dots{display:flex;gap:2px;margin-top:auto;}
 .dot{width:6px;height:6px;border-radius:50%;display:inline-block;}
@@ -3078,16 +4932,29 @@ const STYLES = `
 .cal-legend{display:flex;justify-content:center;gap:16px;padding:8px 0 4px;font-size:11px;color:${P.soft};flex-wrap:wrap;}
 .cal-legend span{display:flex;align-items:center;gap:4px;}
 .cal-legend .cal-star{font-size:10px;}
+.year-grid{display:grid;grid-template-columns:repeat(3,1fr);gap:14px 8px;padding:6px 0 10px;}
+.year-bars{display:grid;grid-template-columns:repeat(12,1fr);gap:4px;height:90px;align-items:end;}
+.year-bar{position:relative;height:100%;display:flex;flex-direction:column;justify-content:flex-end;align-items:center;background:none;border:none;cursor:pointer;padding:0 0 14px;}
+.year-bar-fill{width:70%;border-radius:4px 4px 2px 2px;transition:height 0.3s ease;}
+.year-bar-label{position:absolute;bottom:0;font-size:9px;color:${P.muted};}
+.year-weeks{display:flex;flex-wrap:wrap;gap:4px;font-size:11px;line-height:1;}
 
 /* ── Modals ── */
 .modal-overlay{position:fixed;inset:0;background:rgba(8,9,18,0.85);backdrop-filter:blur(4px);z-index:100;display:flex;align-items:center;justify-content:center;animation:fade-in 0.2s ease;}
 @keyframes fade-in{from{opacity:0;}to{opacity:1;}}
 .modal-content{background:${P.glassSolid};border:1px solid ${P.glassBorder};border-radius:24px;padding:32px;max-width:400px;width:90%;max-height:90vh;overflow-y:auto;animation:modal-up 0.3s ease;}
 .modal-reward{max-height:80vh;}
+.drawer-overlay{align-items:flex-end;}
+.drawer-content{background:${P.glassSolid};border:1px solid ${P.glassBorder};border-bottom:none;border-radius:24px 24px 0 0;padding:12px 20px 28px;max-width:480px;width:100%;max-height:82vh;overflow-y:auto;animation:drawer-up 0.3s ease;}
+.drawer-handle{width:40px;height:4px;border-radius:2px;background:${P.dim};margin:0 auto 14px;}
+@keyframes drawer-up{from{transform:translateY(100%);}to{transform:translateY(0);}}
 @keyframes modal-up{from{opacity:0;transform:translateY(20px);}to{opacity:1;transform:translateY(0);}}
 .activity-btn{background:transparent;border:1.5px solid ${P.dim};color:${P.muted};padding:10px 20px;border-radius:14px;font-size:14px;font-weight:500;cursor:pointer;transition:all 0.2s;font-family:'Inter',sans-serif;}
 .activity-btn:hover{border-color:var(--accent);color:var(--accent);}
 .activity-btn.active{border-color:var(--accent);color:var(--accent);background:color-mix(in srgb,var(--accent) 10%,transparent);}
+.mood-btn{background:transparent;border:1px solid ${P.glassBorder};color:${P.muted};padding:4px 7px;border-radius:10px;font-size:11px;cursor:pointer;transition:all 0.2s;font-family:'Inter',sans-serif;}
+.mood-btn:hover{color:${P.soft};}
+.mood-btn.active{border-color:${P.aurora};color:${P.aurora};background:color-mix(in srgb,${P.aurora} 10%,transparent);}
 .activity-star{font-size:13px;}
 .duration-select{background:${P.glassSolid};border:1px solid ${P.dim};color:${P.text};padding:6px 10px;border-radius:8px;font-size:14px;font-family:'Inter',sans-serif;}
 .duration-select option{background:${P.glassSolid};color:${P.text};}
@@ -0,0 +1,1087 @@
+// ─── STAR FLOW SCORING ENGINE ────────────────────────────────────────────────
+// Pure, deterministic scoring shared by the app and any server code.
+// Nothing in here touches React, Firebase or the device clock directly:
+//   - anything that depends on "today" takes an optional `now` (Date)
+//   - session messages are picked from a seed instead of Math.random
+//
+// Most functions take a trailing `opts` object:
+//   { scoring, restDays, targetHistory, now, seed, targets, weekStart, timezone, dayCutoffHour }
+// so new rules can be threaded through without reshuffling positional args.
+
+// ─── ACTIVITY PRESETS ────────────────────────────────────────────────────────
+// Each preset defines an activity with scoring rules users can customize later.
+// - minDuration: minimum minutes to earn any stars
+// - baseStars: stars earned at minDuration
+// - midDuration: optional second tier threshold (null if single-tier)
+// - midStars: stars earned at midDuration+ (null if single-tier)
+// - bonusLabel: what the bonus checkbox says
+// - bonusStars: extra stars when bonus is checked
+// - metrics: optional measures LogModal asks for beyond duration (see METRIC_TYPES)
+export const ACTIVITY_PRESETS = [
+  { id: "yoga", label: "Yoga", color: "#9C8CFF", colorLight: "rgba(30,26,58,0.7)",
+    minDuration: 30, baseStars: 2, midDuration: null, midStars: null,
+    bonusLabel: "Intense (pushed hard)", bonusStars: 1 },
+  { id: "walk", label: "Walking", color: "#6EC5FF", colorLight: "rgba(21,29,46,0.7)",
+    minDuration: 20, baseStars: 1, midDuration: 45, midStars: 2,
+    bonusLabel: "Intentional (no phone / nature)", bonusStars: 1,
+    metrics: [{ key: "distance", unit: "km" }] },
+  { id: "run", label: "Running", color: "#6EFFC5", colorLight: "rgba(21,46,36,0.7)",
+    minDuration: 15, baseStars: 2, midDuration: 30, midStars: 3,
+    bonusLabel: "Pushed pace / intervals", bonusStars: 1,
+    metrics: [{ key: "distance", unit: "km" }, { key: "effort" }] },
+  { id: "gym", label: "Gym", color: "#FF9C6E", colorLight: "rgba(46,29,21,0.7)",
+    minDuration: 30, baseStars: 2, midDuration: 60, midStars: 3,
+    bonusLabel: "Hit a PR / extra effort", bonusStars: 1,
+    metrics: [{ key: "sets" }, { key: "reps" }, { key: "effort" }] },
+  { id: "swim", label: "Swimming", color: "#6ED8FF", colorLight: "rgba(21,38,46,0.7)",
+    minDuration: 20, baseStars: 2, midDuration: 45, midStars: 3,
+    bonusLabel: "Distance or drill focus", bonusStars: 1,
+    metrics: [{ key: "distance", unit: "m" }, { key: "laps" }, { key: "effort" }] },
+  { id: "cycle", label: "Cycling", color: "#C5FF6E", colorLight: "rgba(36,46,21,0.7)",
+    minDuration: 20, baseStars: 1, midDuration: 45, midStars: 2,
+    bonusLabel: "Hills or high intensity", bonusStars: 1,
+    metrics: [{ key: "distance", unit: "km" }, { key: "effort" }] },
+  { id: "meditate", label: "Meditation", color: "#FF8CDB", colorLight: "rgba(46,21,40,0.7)",
+    minDuration: 10, baseStars: 1, midDuration: 20, midStars: 2,
+    bonusLabel: "Deep focus / guided session", bonusStars: 1 },
+  { id: "dance", label: "Dance", color: "#FFB86E", colorLight: "rgba(46,38,21,0.7)",
+    minDuration: 20, baseStars: 2, midDuration: 45, midStars: 3,
+    bonusLabel: "Full routine / performance", bonusStars: 1,
+    metrics: [{ key: "effort" }] },
+];
+
+// ─── SCORING RULES ───────────────────────────────────────────────────────────
+// Two scoring modes (userData.scoring.mode):
+//   "activity" — each activity's own duration tiers and bonus decide the base
+//   "flat"     — every session earns the same base (the original model)
+// With scoring.floor on, any activity worth logging ALWAYS earns at least the base.
+// Bonuses are purely additive — they can never reduce the base.
+// Diminishing returns apply only to bonuses for 2nd+ sessions per day.
+
+export const STARLIGHT_PER_STAR = 10; // activity rules are written in stars, the sky counts starlight
+
+// Return-light bonus (additive): coming back after missed days.
+// Index = missed days; the last value covers anything longer.
+export const RETURN_CURVE = [0, 5, 7, 10];
+export function returnBonus(missed, curve = RETURN_CURVE) { return curve[Math.min(missed, curve.length - 1)]; }
+
+// Pacing: only reduces bonuses, never the base star.
+// Index = session of the day - 1; the last value covers every later session.
+export const PACING_CURVE = [1.0, 0.7, 0.5, 0.35];
+// An index below 1 (a session not in the day's list) is treated as the first.
+export function bonusPacing(idx, curve = PACING_CURVE) { return curve[Math.min(Math.max(idx, 1), curve.length) - 1]; }
+
+// The user's scoring profile (userData.scoring). Anything unset falls back to these.
+// Flat is the default so data saved before activity mode keeps its scores;
+// activity mode is an opt-in from the Settings Scoring tab.
+export const DEFAULT_SCORING = {
+  mode: "flat",
+  floor: true,
+  base: 10,            // flat-mode starlight per session, and the activity-mode floor
+  presenceBonus: 5,    // flat mode: extra starlight for a mindful session
+  presenceCap: 1,      // flat mode: mindful sessions per day that earn it
+  returnCurve: RETURN_CURVE,
+  pacingCurve: PACING_CURVE,
+};
+
+// How far back return light looks for the previous moment
+const RETURN_LOOKBACK_DAYS = 14;
+
+// Most streak freezes that can be banked at once (one is earned per Gold week)
+export const STREAK_FREEZE_CAP = 3;
+
+// Achievement thresholds: streak lengths with a badge, and mindful sessions for "mindful_100"
+export const STREAK_BADGES = [7, 14, 30];
+export const MINDFUL_BADGE = 100;
+
+export const SESSION_MESSAGES = {
+  reentry: ["Welcome back — the sky remembers you.", "Return light. The stars waited.", "The sky opens wider for your return."],
+  presence: ["Presence noted. The glow deepens.", "A mindful moment — rarer than gold.", "Phone down, sky up. Beautiful."],
+  base: ["A star placed. Quietly luminous.", "The sky grows.", "One more light in your constellation."],
+};
+
+// AI-generated plans only carry { id, label, color, minDuration }, so fill any
+// missing rule from the matching preset (or single-tier defaults for customs).
+export function activityRules(act) {
+  const preset = ACTIVITY_PRESETS.find(p => p.id === act?.id) || {};
+  const pick = (k, fallback) => act?.[k] !== undefined ? act[k] : preset[k] !== undefined ? preset[k] : fallback;
+  return {
+    minDuration: pick("minDuration", 0),
+    baseStars: pick("baseStars", 1),
+    midDuration: pick("midDuration", null),
+    midStars: pick("midStars", null),
+    bonusLabel: pick("bonusLabel", "Mindful session"),
+    bonusStars: pick("bonusStars", 1),
+  };
+}
+
+// ── Activity metrics ──
+// Measures an activity can record besides duration. Values live on the entry
+// as numbers (entry.metrics: { distance: 5.2, effort: 7 }); a distance's unit
+// is the activity's. Totals add up across sessions; effort (RPE) is averaged.
+// pacePer is the distance a pace is given over, per unit (1 when not listed).
+export const METRIC_TYPES = {
+  distance: { label: "Distance", units: ["km", "mi", "m"], decimals: 2, total: true, pacePer: { m: 100 } },
+  laps:     { label: "Laps", decimals: 0, total: true },
+  sets:     { label: "Sets", decimals: 0, total: true },
+  reps:     { label: "Reps", decimals: 0, total: true },
+  effort:   { label: "Effort", sub: "RPE 1–10", decimals: 0, min: 1, max: 10, total: false },
+};
+
+// An activity's metric fields — its own, else its preset's (activities saved
+// before metrics existed have none of their own)
+export function activityMetrics(act) {
+  const preset = ACTIVITY_PRESETS.find(p => p.id === act?.id);
+  const list = act?.metrics ?? preset?.metrics ?? [];
+  return list.filter(m => METRIC_TYPES[m.key])
+    .map(m => m.key === "distance" ? { key: m.key, unit: m.unit || METRIC_TYPES.distance.units[0] } : { key: m.key });
+}
+
+// Keeps only sensible values for the given fields: positive, rounded, effort within 1–10
+export function cleanMetrics(values, fields) {
+  const out = {};
+  for (const { key } of fields) {
+    const type = METRIC_TYPES[key], v = Number(values?.[key]);
+    if (!Number.isFinite(v) || v <= 0) continue;
+    const rounded = Math.round(v * 10 ** type.decimals) / 10 ** type.decimals;
+    out[key] = type.max ? Math.min(type.max, Math.max(type.min, rounded)) : rounded;
+  }
+  return out;
+}
+
+// Totals and personal bests per activity, from each entry's metrics (a split
+// session's go to its main activity):
+//   { [activityId]: { [metric]: { total, count, avg, best, bestId, bestDate }, pace? } }
+// Effort has no best, only an average. pace (minutes per `per` distance units,
+// e.g. per km or per 100 m; lower is better) is kept for single-activity
+// distance sessions.
+export function metricStats(entries, activities = []) {
+  const stats = {};
+  for (const e of entries) {
+    if (!e.metrics) continue;
+    const fields = activityMetrics(activities.find(a => a.id === e.activity_type));
+    for (const { key, unit } of fields) {
+      const v = e.metrics[key];
+      if (!(v > 0)) continue;
+      const act = stats[e.activity_type] || (stats[e.activity_type] = {});
+      const m = act[key] || (act[key] = { total: 0, count: 0, best: 0, bestId: null, bestDate: null });
+      m.total += v;
+      m.count++;
+      if (METRIC_TYPES[key].total && v > m.best) Object.assign(m, { best: v, bestId: e.id ?? null, bestDate: e.date });
+      if (key === "distance" && e.duration_min > 0 && !(e.segments?.length > 1)) {
+        const per = METRIC_TYPES.distance.pacePer[unit] || 1;
+        const pace = e.duration_min / (v / per);
+        if (!act.pace || pace < act.pace.best) act.pace = { best: pace, per, bestId: e.id ?? null, bestDate: e.date };
+      }
+    }
+  }
+  for (const act of Object.values(stats)) {
+    for (const [key, m] of Object.entries(act)) if (key !== "pace") m.avg = m.total / m.count;
+  }
+  return stats;
+}
+
+export function scoringOf(scoring) {
+  const sc = { ...DEFAULT_SCORING, ...(scoring || {}) };
+  const validCurve = c => Array.isArray(c) && c.length > 0 && c.every(Number.isFinite);
+  if (!validCurve(sc.returnCurve)) sc.returnCurve = RETURN_CURVE;
+  if (!validCurve(sc.pacingCurve)) sc.pacingCurve = PACING_CURVE;
+  return sc;
+}
+
+// ─── DATES ───────────────────────────────────────────────────────────────────
+// Entries store local "YYYY-MM-DD" strings. Always parse them as local dates —
+// new Date("YYYY-MM-DD") is UTC midnight and lands on the previous day west of UTC.
+
+export function localDateStr(d) { return `${d.getFullYear()}-${String(d.getMonth()+1).padStart(2,'0')}-${String(d.getDate()).padStart(2,'0')}`; }
+export function parseDateStr(ds) { const [y, m, d] = ds.split("-").map(Number); return new Date(y, m - 1, d); }
+export function addDays(ds, n) { const d = parseDateStr(ds); d.setDate(d.getDate() + n); return localDateStr(d); }
+export function entriesFor(entries, ds) { return entries.filter(e => e.date === ds); }
+
+// ─── DAY BOUNDARY ────────────────────────────────────────────────────────────
+// Which calendar day a moment belongs to. By default that's the device's local
+// day; a home `timezone` (IANA name) pins it to one zone wherever the user is,
+// and `dayCutoffHour` (e.g. 3) keeps late-night moments on the day before.
+// Both come from userData.settings and travel in opts like the scoring rules.
+
+const zoneFormatters = new Map();
+function zoneFormatter(timeZone) {
+  if (!zoneFormatters.has(timeZone)) {
+    zoneFormatters.set(timeZone, new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit" }));
+  }
+  return zoneFormatters.get(timeZone);
+}
+
+export function isValidTimezone(timeZone) {
+  try { zoneFormatter(timeZone); return true; } catch { return false; }
+}
+
+export function deviceTimezone() {
+  try { return Intl.DateTimeFormat().resolvedOptions().timeZone || ""; } catch { return ""; }
+}
+
+export function dayOf(at, { timezone, dayCutoffHour = 0 } = {}) {
+  const shifted = new Date(at.getTime() - (dayCutoffHour || 0) * 3600000);
+  if (!timezone || !isValidTimezone(timezone)) return localDateStr(shifted);
+  const part = type => zoneFormatter(timezone).formatToParts(shifted).find(p => p.type === type).value;
+  return `${part("year")}-${part("month")}-${part("day")}`;
+}
+
+export function todayStr(now = new Date(), clock = {}) { return dayOf(now, clock); }
+
+// The day-boundary part of userData.settings, with defaults filled in
+export function clockOf(settings = {}) {
+  return { timezone: settings.timezone || "", dayCutoffHour: settings.dayCutoffHour || 0 };
+}
+
+// ─── SEEDED MESSAGES ─────────────────────────────────────────────────────────
+// Small string hash (FNV-1a) so the same session always gets the same message.
+export function hashSeed(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193); }
+  return h >>> 0;
+}
+
+export function pickMessage(pool, seed) {
+  const n = typeof seed === "number" ? seed : hashSeed(String(seed));
+  return pool[n % pool.length];
+}
+
+// ─── SESSION SCORING ─────────────────────────────────────────────────────────
+
+// Stars an activity's duration tiers award (before the floor and any bonus)
+export function durationStars(rules, minutes) {
+  if (rules.midDuration && rules.midStars && minutes >= rules.midDuration) return rules.midStars;
+  if (minutes >= rules.minDuration) return rules.baseStars;
+  return 0;
+}
+
+// Base starlight for an entry — flat mode always counts, activity mode follows
+// the activity's tiers and only drops to zero when the floor is switched off.
+// A split session earns each segment's own tier; the floor applies once.
+export function calcPts(entry, activities = [], opts = {}) {
+  const sc = scoringOf(opts.scoring);
+  if (sc.mode !== "activity") return sc.base;
+  const pts = segmentsOf(entry).reduce((t, seg) => t + segmentPts(seg, activities), 0);
+  return sc.floor ? Math.max(sc.base, pts) : pts;
+}
+
+function segmentPts(seg, activities) {
+  const act = activities.find(a => a.id === seg.activity_type);
+  return durationStars(activityRules(act), seg.duration_min || 0) * STARLIGHT_PER_STAR;
+}
+
+// ─── ENTRIES ─────────────────────────────────────────────────────────────────
+// Every entry carries a unique id, createdAt (when it was logged) and startedAt
+// (when the session began), both ISO timestamps. A day's sessions are ordered
+// by startedAt, then createdAt, then id — never by their place in the array.
+
+export function newEntryId() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+export function compareSessions(a, b) {
+  return (a.startedAt || "").localeCompare(b.startedAt || "")
+    || (a.createdAt || "").localeCompare(b.createdAt || "")
+    || (a.id || "").localeCompare(b.id || "");
+}
+
+// When a session logged at createdAt began: logged on its own day, it started
+// duration_min earlier; backdated (or moved to another day), it defaults to noon.
+export function startedAtFor(entry, createdAt, clock = {}) {
+  const logged = new Date(createdAt);
+  if (dayOf(logged, clock) === entry.date) return new Date(logged - (entry.duration_min || 0) * 60000).toISOString();
+  const noon = parseDateStr(entry.date);
+  noon.setHours(12);
+  return noon.toISOString();
+}
+
+export function needsEntryMigration(entries = []) {
+  const ids = new Set(entries.map(e => e.id));
+  return ids.size !== entries.length || entries.some(e => !e.id || !e.createdAt || !e.startedAt);
+}
+
+// Fills in id/createdAt/startedAt on entries from before they existed, and
+// re-ids duplicates. Unknown log times become noon on the entry's day, a
+// second apart in array order, so old days keep their pacing order.
+export function migrateEntries(entries = [], clock = {}) {
+  const seen = new Set(), nth = new Map();
+  return entries.map(e => {
+    const n = nth.get(e.date) || 0;
+    nth.set(e.date, n + 1);
+    const id = e.id && !seen.has(e.id) ? e.id : newEntryId();
+    seen.add(id);
+    let createdAt = e.createdAt;
+    if (!createdAt) {
+      const noon = parseDateStr(e.date);
+      noon.setHours(12, 0, n);
+      createdAt = noon.toISOString();
+    }
+    const startedAt = e.startedAt || (e.createdAt ? startedAtFor(e, createdAt, clock) : createdAt);
+    return id === e.id && createdAt === e.createdAt && startedAt === e.startedAt ? e : { ...e, id, createdAt, startedAt };
+  });
+}
+
+// A split session (a class mixing yoga and meditation, a walk-then-run) is one
+// entry with `segments: [ { activity_type, duration_min } ]`. Its own
+// activity_type is the longest segment's and duration_min their total, so it
+// paces as a single session while counting toward every activity it holds.
+export function segmentsOf(entry) {
+  return Array.isArray(entry.segments) && entry.segments.length > 1
+    ? entry.segments
+    : [{ activity_type: entry.activity_type, duration_min: entry.duration_min }];
+}
+
+// Each activity an entry touches, once
+export function activitiesOf(entry) { return [...new Set(segmentsOf(entry).map(seg => seg.activity_type))]; }
+
+// Builds the entry fields for a list of segments (one segment → a plain entry)
+export function fromSegments(segments) {
+  const main = segments.reduce((best, seg) => seg.duration_min > best.duration_min ? seg : best);
+  const duration_min = segments.reduce((t, seg) => t + seg.duration_min, 0);
+  return segments.length > 1
+    ? { activity_type: main.activity_type, duration_min, segments: segments.map(({ activity_type, duration_min }) => ({ activity_type, duration_min })) }
+    : { activity_type: main.activity_type, duration_min };
+}
+
+// Quick-log chips treat sessions with the same activity, duration and
+// mindful flag as one "shape"
+export function sessionShape(e) {
+  return `${segmentsOf(e).map(seg => `${seg.activity_type}:${seg.duration_min}`).join("+")}|${e.mindful ? 1 : 0}`;
+}
+
+// The last n distinct session shapes, newest first
+export function recentSessions(entries, n = 3) {
+  const seen = new Set(), recent = [];
+  for (const e of [...entries].sort((a, b) => compareSessions(b, a))) {
+    const shape = sessionShape(e);
+    if (seen.has(shape)) continue;
+    seen.add(shape);
+    recent.push({ ...fromSegments(segmentsOf(e)), mindful: !!e.mindful });
+    if (recent.length === n) break;
+  }
+  return recent;
+}
+
+// Entries matching a journal filter, newest day first. Every field is optional:
+//   activities: ids (a split session matches on any part) · mindful: true | false
+//   from / to: inclusive date strings · text: found in the note, any case
+export function filterEntries(entries, { activities, mindful, from, to, text } = {}) {
+  const needle = text?.trim().toLowerCase();
+  return entries.filter(e =>
+    (!activities?.length || activitiesOf(e).some(id => activities.includes(id)))
+    && (mindful == null || !!e.mindful === mindful)
+    && (!from || e.date >= from) && (!to || e.date <= to)
+    && (!needle || (e.note || "").toLowerCase().includes(needle))
+  ).sort((a, b) => b.date.localeCompare(a.date) || compareSessions(b, a));
+}
+
+// ─── DATE INDEX ──────────────────────────────────────────────────────────────
+// Scoring looks entries up by day, never by scanning the whole history:
+//   { entriesOn(ds) → that day's entries in session order, has(ds) → boolean }
+// Functions below accept either a plain entries array or an index like this
+// (a score store is one), so callers with a store never pay for a rebuild.
+
+const NO_ENTRIES = Object.freeze([]);
+
+export function indexEntries(entries) {
+  const byDate = new Map();
+  for (const e of entries) {
+    if (!byDate.has(e.date)) byDate.set(e.date, []);
+    byDate.get(e.date).push(e);
+  }
+  byDate.forEach(list => list.sort(compareSessions));
+  return { entriesOn: ds => byDate.get(ds) || NO_ENTRIES, has: ds => byDate.has(ds) };
+}
+
+function asIndex(source) { return Array.isArray(source) ? indexEntries(source) : source; }
+
+// ─── REST DAYS ───────────────────────────────────────────────────────────────
+// Planned rest/recovery days (userData.restDays, "YYYY-MM-DD" strings). A rest
+// day is never "missed": it keeps a streak alive and return light skips over it.
+
+export function restDaySet(restDays) { return restDays instanceof Set ? restDays : new Set(restDays || []); }
+
+export function calcMissedDays(dateStr, allEntries, opts = {}) {
+  const index = asIndex(allEntries);
+  const rest = restDaySet(opts.restDays);
+  let missed = 0;
+  for (let i = 1; i <= RETURN_LOOKBACK_DAYS; i++) {
+    const ds = addDays(dateStr, -i);
+    if (index.has(ds)) break;
+    if (!rest.has(ds)) missed++;
+  }
+  return missed;
+}
+
+export function scoreSession(entry, activities, allEntries, opts = {}) {
+  const index = asIndex(allEntries);
+  const sc = scoringOf(opts.scoring);
+  const byActivity = sc.mode === "activity";
+  const baseStar = calcPts(entry, activities, opts);
+  const sameDay = index.entriesOn(entry.date);
+
+  // Position in the day's session order (a copy of a stored entry is found by id)
+  const sessionIndex = sameDay.findIndex(e => e === entry || (entry.id !== undefined && e.id === entry.id)) + 1;
+
+  // Presence bonus (flat mode): for the day's first presenceCap mindful sessions only
+  // Activity bonus (activity mode): the activity's own bonusStars when its bonus is checked
+  // (for a split session, its main activity's)
+  let presenceBonus = 0, activityBonus = 0;
+  if (entry.mindful && byActivity) {
+    const act = activities.find(a => a.id === entry.activity_type);
+    activityBonus = activityRules(act).bonusStars * STARLIGHT_PER_STAR;
+  } else if (entry.mindful) {
+    const earlierMindful = sameDay.slice(0, sessionIndex - 1).filter(e => e.mindful).length;
+    if (earlierMindful < sc.presenceCap) presenceBonus = sc.presenceBonus;
+  }
+
+  // Return-light bonus: grows with missed days (additive, not multiplier)
+  const missedDays = calcMissedDays(entry.date, index, opts);
+  const returnBonusVal = returnBonus(missedDays, sc.returnCurve);
+
+  // Session pacing: reduces bonuses only, never the base star
+  const pacing = bonusPacing(sessionIndex, sc.pacingCurve);
+
+  // Final: base always full + bonuses scaled by pacing
+  const totalBonuses = (presenceBonus + activityBonus + returnBonusVal) * pacing;
+  const starsEarned = Math.round(baseStar + totalBonuses);
+
+  let msgPool = SESSION_MESSAGES.base;
+  if (missedDays >= 1) msgPool = SESSION_MESSAGES.reentry;
+  else if (presenceBonus > 0 || activityBonus > 0) msgPool = SESSION_MESSAGES.presence;
+  const seed = opts.seed ?? `${entry.date}|${entry.activity_type}|${entry.duration_min}|${sessionIndex}`;
+  const message = pickMessage(msgPool, seed);
+
+  return { starsEarned, baseStar, presenceBonus, activityBonus, returnBonus: returnBonusVal, pacing, missedDays, sessionIndex, message };
+}
+
+// ─── BREAKDOWN ───────────────────────────────────────────────────────────────
+// Explains a scoreSession result line by line: what each part added, why it
+// applied, and what would have changed it. Bonuses are listed at full value and
+// pacing appears as its own (negative) line, so the values add up to the total.
+// `result` can be passed in when the caller already has it (a store's cached score).
+//   → { total, lines: [ { key, label, value, why, hint } ] }
+
+const ordinal = n => n + (["th", "st", "nd", "rd"][(n % 100 - 20) % 10] || ["th", "st", "nd", "rd"][n % 100] || "th");
+const plural = (n, word) => `${n} ${word}${n === 1 ? "" : "s"}`;
+
+export function explainSession(entry, activities, allEntries, opts = {}, result) {
+  const index = asIndex(allEntries);
+  const r = result || scoreSession(entry, activities, index, opts);
+  const sc = scoringOf(opts.scoring);
+  const act = activities.find(a => a.id === entry.activity_type);
+  const rules = activityRules(act);
+  const mins = entry.duration_min || 0;
+  const paced = v => Math.round(v * r.pacing);
+  const lines = [];
+
+  // Base
+  const segments = segmentsOf(entry);
+  if (sc.mode !== "activity") {
+    lines.push({ key: "base", label: "Base starlight", value: r.baseStar, why: `Every moment earns ${sc.base}`, hint: "" });
+  } else if (segments.length > 1) {
+    const parts = segments.map(seg => `${activities.find(a => a.id === seg.activity_type)?.label || seg.activity_type} ${seg.duration_min} min (${segmentPts(seg, activities)})`);
+    const tierPts = segments.reduce((t, seg) => t + segmentPts(seg, activities), 0);
+    const why = parts.join(" + ") + (r.baseStar > tierPts ? ` · raised to the floor of ${sc.base}` : "");
+    lines.push({ key: "base", label: "Base starlight", value: r.baseStar, why, hint: "Each part earns its own activity's tier" });
+  } else {
+    const tierPts = durationStars(rules, mins) * STARLIGHT_PER_STAR;
+    const hasMid = rules.midDuration && rules.midStars;
+    let why = mins >= rules.minDuration
+      ? `${mins} min — ${hasMid && mins >= rules.midDuration ? `${rules.midDuration}+ min tier` : "base tier"} (${tierPts})`
+      : `${mins} min is under the ${rules.minDuration}-min minimum`;
+    if (r.baseStar > tierPts) why += ` · raised to the floor of ${sc.base}`;
+    let hint = "";
+    if (mins < rules.minDuration) hint = `${rules.minDuration - mins} more min would earn ${rules.baseStars * STARLIGHT_PER_STAR}`;
+    else if (hasMid && mins < rules.midDuration) hint = `${rules.midDuration - mins} more min would earn ${rules.midStars * STARLIGHT_PER_STAR}`;
+    lines.push({ key: "base", label: "Base starlight", value: r.baseStar, why, hint });
+  }
+
+  // Activity / presence bonus
+  if (sc.mode === "activity") {
+    const full = rules.bonusStars * STARLIGHT_PER_STAR;
+    lines.push(entry.mindful
+      ? { key: "bonus", label: rules.bonusLabel, value: r.activityBonus, why: "Checked for this session", hint: "" }
+      : { key: "bonus", label: rules.bonusLabel, value: 0, why: "Not checked", hint: `Checking it would have added ${paced(full)}` });
+  } else if (sc.presenceCap <= 0 || sc.presenceBonus <= 0) {
+    lines.push({ key: "bonus", label: "Presence bonus", value: 0, why: "Your scoring profile earns no presence glow", hint: "" });
+  } else if (entry.mindful && !r.presenceBonus) {
+    lines.push({ key: "bonus", label: "Presence bonus", value: 0, why: `Already earned ${plural(sc.presenceCap, "time")} earlier today`, hint: "" });
+  } else if (entry.mindful) {
+    lines.push({ key: "bonus", label: "Presence bonus", value: r.presenceBonus, why: "Mindful session", hint: "" });
+  } else {
+    // Only promise the bonus if today's cap would still have left room for it
+    const earlierMindful = index.entriesOn(entry.date).slice(0, r.sessionIndex - 1).filter(e => e.mindful).length;
+    const hint = earlierMindful < sc.presenceCap
+      ? `A mindful session would have added ${paced(sc.presenceBonus)}`
+      : `Already earned ${plural(sc.presenceCap, "time")} earlier today`;
+    lines.push({ key: "bonus", label: "Presence bonus", value: 0, why: "Not marked mindful", hint });
+  }
+
+  // Return light — with no gap, either the day before had a moment or only
+  // planned rest lies between this one and the last
+  const noGap = index.has(addDays(entry.date, -1))
+    ? "You moved the day before — no gap to return from"
+    : "Only planned rest since your last moment — rest is never a gap";
+  lines.push(r.missedDays > 0
+    ? { key: "return", label: "Return light", value: r.returnBonus, why: `${plural(r.missedDays, "day")}${r.missedDays >= RETURN_LOOKBACK_DAYS ? "+" : ""} since your last moment`, hint: "" }
+    : { key: "return", label: "Return light", value: 0, why: noGap, hint: "" });
+
+  // Pacing
+  if (r.pacing !== 1) {
+    const bonuses = r.presenceBonus + r.activityBonus + r.returnBonus;
+    lines.push({
+      key: "pacing", label: "Pacing", value: paced(bonuses) - Math.round(bonuses),
+      why: `${ordinal(r.sessionIndex)} session today — bonuses at ${Math.round(r.pacing * 100)}%`,
+      hint: "The base is never paced; only bonuses soften",
+    });
+  }
+
+  return { total: r.starsEarned, lines };
+}
+
+// ─── SCORE STORE ─────────────────────────────────────────────────────────────
+// Date-indexed entries with cached per-day scores, updated incrementally.
+// A day's score depends on its own entries and on which of the previous
+// RETURN_LOOKBACK_DAYS days have any entry, so when a day turns empty or
+// non-empty the days whose return light looks back at it are dropped too.
+// Everything else stays cached until its own day changes.
+
+export function createScoreStore(entries, activities, opts = {}) {
+  opts = { ...opts, restDays: restDaySet(opts.restDays) };
+  const weekStart = opts.weekStart ?? DEFAULT_WEEK_START;
+  const byDate = new Map();   // ds → entries in session order
+  const dayCache = new Map(); // ds → { total, results: Map<entry, score> }
+  const known = new Set();
+
+  const entriesOn = ds => byDate.get(ds) || NO_ENTRIES;
+  const has = ds => byDate.has(ds);
+  const isRest = ds => opts.restDays.has(ds);
+  // The targets a week or month starting on ds is judged by (opts.targetHistory)
+  const targetsOn = (ds, targets) => targetsAt(ds, targets, opts.targetHistory, weekStart);
+
+  function invalidate(ds, emptinessChanged) {
+    dayCache.delete(ds);
+    if (!emptinessChanged) return;
+    for (let i = 1; i <= RETURN_LOOKBACK_DAYS; i++) dayCache.delete(addDays(ds, i));
+  }
+
+  function add(entry) {
+    if (known.has(entry)) return;
+    known.add(entry);
+    const list = entriesOn(entry.date);
+    byDate.set(entry.date, [...list, entry].sort(compareSessions));
+    invalidate(entry.date, list.length === 0);
+  }
+
+  function remove(entry) {
+    if (!known.has(entry)) return;
+    known.delete(entry);
+    const list = entriesOn(entry.date).filter(e => e !== entry);
+    if (list.length) byDate.set(entry.date, list); else byDate.delete(entry.date);
+    invalidate(entry.date, list.length === 0);
+  }
+
+  // Bring the store in line with a new entries array, touching only what changed.
+  // Changed days are regrouped and re-sorted so pacing follows session order.
+  function sync(next) {
+    const nextSet = new Set(next);
+    const touched = new Set();
+    for (const e of [...known]) if (!nextSet.has(e)) { remove(e); touched.add(e.date); }
+    for (const e of next) if (!known.has(e)) { add(e); touched.add(e.date); }
+    if (!touched.size) return;
+    const regrouped = new Map([...touched].map(ds => [ds, []]));
+    for (const e of next) regrouped.get(e.date)?.push(e);
+    regrouped.forEach((list, ds) => { if (list.length) byDate.set(ds, list.sort(compareSessions)); });
+  }
+
+  function scoreDay(ds) {
+    let day = dayCache.get(ds);
+    if (!day) {
+      const results = new Map();
+      let total = 0;
+      for (const e of entriesOn(ds)) {
+        const r = scoreSession(e, activities, store, opts);
+        results.set(e, r);
+        total += r.starsEarned;
+      }
+      day = { total: Math.round(total), results };
+      dayCache.set(ds, day);
+    }
+    return day;
+  }
+
+  const scoreOf = entry => scoreDay(entry.date).results.get(entry) || scoreSession(entry, activities, store, opts);
+  const dayStars = ds => scoreDay(ds).total;
+
+  // Starlight for the week starting on startDs ("YYYY-MM-DD")
+  function weekStars(startDs) {
+    return Math.round(weekDays(startDs).reduce((total, ds) => total + dayStars(ds), 0));
+  }
+
+  function monthStats(y, m, targets) {
+    const days = new Date(y, m, 0).getDate();
+    let pts = 0, minutes = 0, activeDays = 0, sessions = 0, mindful = 0;
+    const actCounts = {}, mindfulCounts = {};
+    activities.forEach(a => { actCounts[a.id] = 0; mindfulCounts[a.id] = 0; });
+    for (let d = 1; d <= days; d++) {
+      const ds = `${y}-${String(m).padStart(2, "0")}-${String(d).padStart(2, "0")}`;
+      pts += dayStars(ds);
+      if (has(ds)) activeDays++;
+      entriesOn(ds).forEach(e => {
+        minutes += e.duration_min || 0;
+        if (calcPts(e, activities, opts) > 0) {
+          sessions++;
+          if (e.mindful) mindful++;
+          // A split session counts toward each of its activities
+          activitiesOf(e).forEach(id => {
+            actCounts[id] = (actCounts[id] || 0) + 1;
+            if (e.mindful) mindfulCounts[id] = (mindfulCounts[id] || 0) + 1;
+          });
+        }
+      });
+    }
+    pts = Math.round(pts);
+    const t = targetsOn(`${y}-${String(m).padStart(2, "0")}-01`, targets);
+    return { pts, minutes, activeDays, sessions, mindful, actCounts, mindfulCounts, target: pts >= t.monthlyTarget, stretch: pts >= t.monthlyStretch };
+  }
+
+  // A whole year built from the month and week pieces above:
+  // totals, per-activity counts, each month, each week's tier, and streaks.
+  function yearStats(y, targets, now = opts.now) {
+    const months = Array.from({ length: 12 }, (_, i) => ({ m: i + 1, ...monthStats(y, i + 1, targets) }));
+    const sum = key => months.reduce((t, mo) => t + mo[key], 0);
+    const actCounts = {}, mindfulCounts = {};
+    months.forEach(mo => {
+      Object.entries(mo.actCounts).forEach(([id, n]) => { actCounts[id] = (actCounts[id] || 0) + n; });
+      Object.entries(mo.mindfulCounts).forEach(([id, n]) => { mindfulCounts[id] = (mindfulCounts[id] || 0) + n; });
+    });
+    const sessions = sum("sessions"), mindful = sum("mindful");
+
+    // Weeks belong to the year their start date falls in
+    const weeks = [];
+    for (let ws = weekStartOf(`${y}-01-07`, weekStart); ws.startsWith(String(y)); ws = addDays(ws, 7)) {
+      const pts = weekStars(ws), t = targetsOn(ws, targets);
+      weeks.push({ start: ws, pts, tier: getTier(pts, t.weeklyStarTarget, t.tiers) });
+    }
+    // Weeks that finished at each tier, keyed by tier id
+    const tierCounts = Object.fromEntries(tiersOf(targets.tiers).map(t => [t.tier, 0]));
+    weeks.forEach(w => { if (w.tier.tier in tierCounts) tierCounts[w.tier.tier]++; });
+
+    // Streak runs that touched this year (the ongoing one included)
+    const rec = streakRecord(now, targets);
+    const runs = [...rec.history];
+    if (rec.current) runs.push({ start: rec.currentStart, end: todayStr(now, opts), length: rec.current });
+    const yearRuns = runs.filter(run => run.start.slice(0, 4) <= String(y) && run.end.slice(0, 4) >= String(y));
+    const longestRun = yearRuns.reduce((best, run) => (!best || run.length > best.length ? run : best), null);
+
+    const bestMonth = months.reduce((best, mo) => (mo.pts > (best?.pts || 0) ? mo : best), null);
+    return {
+      y, pts: sum("pts"), minutes: sum("minutes"), activeDays: sum("activeDays"), sessions, mindful,
+      mindfulRatio: sessions ? mindful / sessions : 0,
+      actCounts, mindfulCounts, months, bestMonth, weeks, tierCounts, longestRun,
+      monthsOnTarget: months.filter(mo => mo.target).length,
+    };
+  }
+
+  // Rebuilds the whole streak record by walking from the first logged day to
+  // today. Active days extend the run and rest days bridge it. A missed day
+  // spends a banked freeze if there is one, otherwise the run closes into
+  // history. Each top-tier week (per the targets it started under) banks a
+  // freeze for the days after it, up to STREAK_FREEZE_CAP. Today never breaks
+  // a run — it isn't over.
+  function streakRecord(now = opts.now, targets = {}) {
+    const today = todayStr(now, opts);
+    const counts = ds => entriesOn(ds).some(e => calcPts(e, activities, opts) > 0);
+    const history = [], frozen = [], reachedOn = {}; // reachedOn[n] → first day any run hit n
+    let run = 0, start = null, end = null, freezes = 0;
+    let ds = [...byDate.keys()].sort()[0];
+    for (; ds && ds <= today; ds = addDays(ds, 1)) {
+      if (counts(ds)) {
+        if (!run) start = ds;
+        run++; end = ds;
+        if (!reachedOn[run]) reachedOn[run] = ds;
+      } else if (isRest(ds) || ds === today) {
+        // bridge
+      } else if (run && freezes > 0) {
+        freezes--; frozen.push(ds);
+      } else if (run) {
+        history.push({ start, end, length: run });
+        run = 0; start = end = null;
+      }
+      const weekEnds = parseDateStr(addDays(ds, 1)).getDay() === weekStart;
+      if (weekEnds) {
+        const ws = weekStartOf(ds, weekStart), t = targetsOn(ws, targets);
+        if (t.weeklyStarTarget > 0 && getTier(weekStars(ws), t.weeklyStarTarget, t.tiers).top) {
+          freezes = Math.min(STREAK_FREEZE_CAP, freezes + 1);
+        }
+      }
+    }
+    const longest = Math.max(run, 0, ...history.map(h => h.length));
+    return { current: run, currentStart: start, longest, history, freezes, frozen, reachedOn };
+  }
+
+  const streak = (now = opts.now, targets = {}) => streakRecord(now, targets).current;
+
+  const explain = entry => explainSession(entry, activities, store, opts, scoreOf(entry));
+
+  // The day each achievement was first earned, derived from the whole history
+  // so existing data back-fills. Ids match ACHIEVEMENTS in App.jsx.
+  function achievements(now = opts.now, targets = {}) {
+    const today = todayStr(now, opts);
+    const days = [...byDate.keys()].filter(ds => ds <= today).sort();
+    const earned = {};
+    if (!days.length) return earned;
+    // First day a running total over `list` satisfies `reached`
+    const crossing = (list, reached) => {
+      let sum = 0;
+      for (const ds of list) { sum += dayStars(ds); if (reached(sum)) return ds; }
+      return null;
+    };
+
+    const rec = streakRecord(now, targets);
+    STREAK_BADGES.forEach(n => { if (rec.reachedOn[n]) earned[`streak_${n}`] = rec.reachedOn[n]; });
+
+    // Each week and month is measured against the targets it started under
+    for (let ws = weekStartOf(days[0], weekStart); ws <= today && !earned.first_gold; ws = addDays(ws, 7)) {
+      const t = targetsOn(ws, targets);
+      if (!(t.weeklyStarTarget > 0)) continue;
+      const ds = crossing(weekDays(ws).filter(d => d <= today), sum => getTier(sum, t.weeklyStarTarget, t.tiers).top);
+      if (ds) earned.first_gold = ds;
+    }
+
+    for (let ms = `${days[0].slice(0, 7)}-01`; ms <= today && !earned.monthly_stretch; ms = addDays(ms, 32).slice(0, 7) + "-01") {
+      const t = targetsOn(ms, targets);
+      if (!(t.monthlyStretch > 0)) continue;
+      const monthDays = [];
+      for (let ds = ms; ds.slice(0, 7) === ms.slice(0, 7) && ds <= today; ds = addDays(ds, 1)) monthDays.push(ds);
+      const ds = crossing(monthDays, sum => sum >= t.monthlyStretch);
+      if (ds) earned.monthly_stretch = ds;
+    }
+
+    let mindful = 0;
+    for (const ds of days) {
+      mindful += entriesOn(ds).filter(e => e.mindful).length;
+      if (mindful >= MINDFUL_BADGE) { earned.mindful_100 = ds; break; }
+    }
+
+    if (activities.length > 1) {
+      const firsts = activities.map(a => days.find(ds => entriesOn(ds).some(e => activitiesOf(e).includes(a.id))));
+      if (firsts.every(Boolean)) earned.all_activities = firsts.sort().pop();
+    }
+    return earned;
+  }
+
+  // Adaptive-target proposal for the week containing `now` (see proposeTargets)
+  function suggestTargets(targets, intention, now = opts.now) {
+    const thisWeek = weekStartOf(todayStr(now, opts), weekStart);
+    const weekPts = Array.from({ length: ADAPT_WEEKS }, (_, i) => addDays(thisWeek, -7 * (ADAPT_WEEKS - i)));
+    // Only weeks the user was around for — no judging weeks before the first entry
+    const first = [...byDate.keys()].sort()[0];
+    if (!first || first > weekPts[0]) return null;
+    return proposeTargets(weekPts.map(weekStars), targets, intention);
+  }
+
+  const store = { entriesOn, has, isRest, targetsOn, add, remove, sync, scoreOf, explain, dayStars, weekStars, monthStats, streak, streakRecord, achievements, yearStats, suggestTargets };
+  entries.forEach(add);
+  return store;
+}
+
+// ─── AGGREGATES ──────────────────────────────────────────────────────────────
+// One-off helpers over a plain entries array. The app keeps a long-lived store
+// instead; these build a throwaway one so both paths share a single implementation.
+
+export function dailyStars(allEntries, ds, activities, opts = {}) {
+  return createScoreStore(allEntries, activities, opts).dayStars(ds);
+}
+
+export function weekStars(allEntries, startDs, activities, opts = {}) {
+  return createScoreStore(allEntries, activities, opts).weekStars(startDs);
+}
+
+export function monthStats(entries, y, m, activities, targets, opts = {}) {
+  return createScoreStore(entries, activities, opts).monthStats(y, m, targets);
+}
+
+export function calcStreak(entries, activities, opts = {}) {
+  return createScoreStore(entries, activities, opts).streak(opts.now, opts.targets);
+}
+
+export function streakRecord(entries, activities, opts = {}) {
+  return createScoreStore(entries, activities, opts).streakRecord(opts.now, opts.targets);
+}
+
+export function yearStats(entries, y, activities, targets, opts = {}) {
+  return createScoreStore(entries, activities, opts).yearStats(y, targets, opts.now);
+}
+
+export function achievements(entries, activities, targets, opts = {}) {
+  return createScoreStore(entries, activities, opts).achievements(opts.now, targets);
+}
+
+export function goalMet(pts, targets) { return pts >= targets.weeklyStarTarget; }
+
+// ── Tier System ──
+// Tiers are fractions of the weekly target. The defaults:
+// Bronze = showed up (50% of weekly target)
+// Silver = committed (100% of weekly target)
+// Gold = exceeded (150% of weekly target)
+// Users can define their own (targets.tiers). Whatever the names, the highest
+// tier plays Gold's part: it banks streak freezes and counts as "went beyond".
+export const DEFAULT_TIERS = [
+  { label: "Bronze", sub: "You showed up", pct: 0.5 },
+  { label: "Silver", sub: "You committed", pct: 1 },
+  { label: "Gold", sub: "You exceeded", pct: 1.5 },
+];
+export const MAX_TIERS = 5;
+
+// Sorted lowest first, with an id, rank (1-based), fromTop (0 for the highest)
+// and `top` flag filled in. How a tier looks is the app's business.
+export function tiersOf(tiers) {
+  const valid = Array.isArray(tiers) && tiers.length > 0 && tiers.every(t => t && Number.isFinite(t.pct) && t.pct > 0);
+  const list = (valid ? tiers : DEFAULT_TIERS).slice(0, MAX_TIERS)
+    .map(t => ({ label: t.label || "", sub: t.sub || "", pct: t.pct }))
+    .sort((a, b) => a.pct - b.pct);
+  return list.map((t, i) => ({
+    ...t, tier: `tier${i + 1}`, rank: i + 1, fromTop: list.length - 1 - i, top: i === list.length - 1,
+  }));
+}
+
+// Each tier with the starlight it takes at this weekly target
+export function tierLadder(weeklyTarget, tiers) {
+  return tiersOf(tiers).map(t => ({ ...t, threshold: Math.round(weeklyTarget * t.pct) }));
+}
+
+export function getTier(pts, weeklyTarget, tiers) {
+  const ladder = tierLadder(weeklyTarget, tiers);
+  for (let i = ladder.length - 1; i >= 0; i--) if (pts >= ladder[i].threshold) return ladder[i];
+  return { tier: "none", label: "", sub: "", threshold: 0, rank: 0, fromTop: null, top: false };
+}
+export function nextTierInfo(pts, weeklyTarget, tiers) {
+  const next = tierLadder(weeklyTarget, tiers)[getTier(pts, weeklyTarget, tiers).rank];
+  if (!next) return null; // already at the top
+  return { label: next.label, rank: next.rank, fromTop: next.fromTop, remaining: Math.round(next.threshold - pts) };
+}
+
+// ─── ADAPTIVE TARGETS ────────────────────────────────────────────────────────
+// Looks back over the last ADAPT_WEEKS finished weeks and proposes a new weekly
+// target (monthly targets scale with it). Mostly-Gold weeks nudge it up, weeks
+// that miss Bronze ease it down. How far it may rise depends on the user's
+// onboarding intention — "Consistency, not intensity" never raises it.
+
+export const ADAPT_WEEKS = 4;
+export const MIN_WEEKLY_TARGET = 20;
+const INTENTION_RAISE = {
+  "Consistency, not intensity": 0,
+  "Gentle structure": 0.05,
+  "Feeling calm in my body": 0.05,
+};
+const DEFAULT_RAISE = 0.1;
+const LOWER_BY = 0.15;
+
+const roundTo10 = n => Math.max(10, Math.round(n / 10) * 10);
+
+// weekPts: starlight for each finished week, oldest first
+export function proposeTargets(weekPts, targets, intention) {
+  if (weekPts.length < ADAPT_WEEKS) return null;
+  const reached = weekPts.map(pts => getTier(pts, targets.weeklyStarTarget, targets.tiers));
+  const golds = reached.filter(t => t.top).length;
+  const misses = reached.filter(t => t.rank === 0).length;
+  const ladder = tiersOf(targets.tiers), lowest = ladder[0], top = ladder[ladder.length - 1];
+  const raise = INTENTION_RAISE[intention] ?? DEFAULT_RAISE;
+
+  let weekly = targets.weeklyStarTarget, direction = null, reason = "";
+  if (misses >= ADAPT_WEEKS - 1) {
+    weekly = Math.max(MIN_WEEKLY_TARGET, roundTo10(weekly * (1 - LOWER_BY)));
+    direction = "down";
+    reason = `${misses} of the last ${ADAPT_WEEKS} weeks didn't reach ${lowest.label} — a gentler target keeps the sky within reach.`;
+  } else if (golds >= ADAPT_WEEKS - 1 && raise > 0) {
+    weekly = roundTo10(weekly * (1 + raise));
+    direction = "up";
+    reason = `${golds} of the last ${ADAPT_WEEKS} weeks reached ${top.label} — there may be room to reach a little further.`;
+  }
+  if (!direction || weekly === targets.weeklyStarTarget) return null;
+
+  const ratio = weekly / targets.weeklyStarTarget;
+  return {
+    direction, reason,
+    targets: {
+      ...targets,
+      weeklyStarTarget: weekly,
+      monthlyTarget: roundTo10(targets.monthlyTarget * ratio),
+      monthlyStretch: roundTo10(targets.monthlyStretch * ratio),
+    },
+  };
+}
+
+// ── Targets over time ──
+// userData.targetHistory records every change to the targets (adaptive
+// proposals, accepted or not). A change applies from the week it was made for
+// (`week`, else the week of its `date`), so a finished week or month is always
+// judged by the targets in effect when it started, never regraded by a later
+// change. Walking back from the current targets, each later change's `from`
+// restores what it replaced.
+export function targetsAt(ds, targets, history = [], weekStart = DEFAULT_WEEK_START) {
+  return (history || [])
+    .map((h, i) => ({ h, i, applies: isWeekKey(h.week) ? h.week.slice(3) : weekStartOf(h.date, weekStart) }))
+    .filter(({ h, applies }) => h.accepted && h.from && applies > ds)
+    .sort((a, b) => b.applies.localeCompare(a.applies) || b.i - a.i)
+    .reduce((t, { h }) => ({ ...t, ...h.from }), targets);
+}
+
+// ─── WEEKS ───────────────────────────────────────────────────────────────────
+// Real seven-day weeks beginning on the user's week start (1 = Monday,
+// 0 = Sunday). A week is named by the date it starts on, and promise/claimed
+// keys use that date: "wk:2026-03-09".
+
+export const DEFAULT_WEEK_START = 1;
+const WEEKDAY_NAMES = ["Su", "Mo", "Tu", "We", "Th", "Fr", "Sa"];
+
+export function weekStartOf(ds, weekStart = DEFAULT_WEEK_START) {
+  return addDays(ds, -((parseDateStr(ds).getDay() - weekStart + 7) % 7));
+}
+export function weekDays(startDs) { return Array.from({ length: 7 }, (_, i) => addDays(startDs, i)); }
+export function weekKey(startDs) { return `wk:${startDs}`; }
+export function weekKeyOf(ds, weekStart = DEFAULT_WEEK_START) { return weekKey(weekStartOf(ds, weekStart)); }
+export function isWeekKey(key) { return /^wk:\d{4}-\d{2}-\d{2}$/.test(key); }
+// Monthly intentions live beside the weekly ones, keyed by month: "mo:2026-03"
+export function monthKey(y, m) { return `mo:${y}-${String(m).padStart(2, "0")}`; }
+export function isMonthKey(key) { return /^mo:\d{4}-\d{2}$/.test(key); }
+export function weekdayNames(weekStart = DEFAULT_WEEK_START) {
+  return [...WEEKDAY_NAMES.slice(weekStart), ...WEEKDAY_NAMES.slice(0, weekStart)];
+}
+
+// Start dates of every week that overlaps month m, in order
+export function monthWeeks(y, m, weekStart = DEFAULT_WEEK_START) {
+  const first = `${y}-${String(m).padStart(2, "0")}-01`;
+  const last = `${y}-${String(m).padStart(2, "0")}-${new Date(y, m, 0).getDate()}`;
+  const starts = [];
+  for (let ds = weekStartOf(first, weekStart); ds <= last; ds = addDays(ds, 7)) starts.push(ds);
+  return starts;
+}
+
+// Month grid rows of day numbers, 0 for days outside the month
+export function calendarWeeks(y, m, weekStart = DEFAULT_WEEK_START) {
+  return monthWeeks(y, m, weekStart).map(start => weekDays(start).map(ds => {
+    const d = parseDateStr(ds);
+    return d.getMonth() + 1 === m ? d.getDate() : 0;
+  }));
+}
+
+export function fridayOf(startDs) { return weekDays(startDs).find(ds => parseDateStr(ds).getDay() === 5); }
+export function sundayOf(startDs) { return weekDays(startDs).find(ds => parseDateStr(ds).getDay() === 0); }
+
+// ── Week-key migration ──
+// Keys used to be "YYYY-MM-Wn" for days 1–7, 8–14, … of a month. An old week
+// moves to the real week holding its first day; a "wk:" key moves to the week
+// holding its start date, which only differs after the week start changes.
+const LEGACY_WEEK_KEY = /^(\d{4})-(\d{2})-W(\d)$/;
+
+export function migrateWeekKey(key, weekStart = DEFAULT_WEEK_START) {
+  const legacy = LEGACY_WEEK_KEY.exec(key);
+  if (legacy) return weekKeyOf(`${legacy[1]}-${legacy[2]}-${String((legacy[3] - 1) * 7 + 1).padStart(2, "0")}`, weekStart);
+  if (isWeekKey(key)) return weekKeyOf(key.slice(3), weekStart);
+  return key;
+}
+
+// Re-keys promises and claimed for weekStart. When two old weeks land on the
+// same new one, claims are merged and the promise already on that key wins
+// (otherwise the earlier week's). A targetHistory, when given, is re-keyed
+// too, so each change applies from the week now holding its start day.
+export function rekeyWeeks(promises = {}, claimed = [], weekStart = DEFAULT_WEEK_START, targetHistory) {
+  const settled = k => migrateWeekKey(k, weekStart) === k;
+  const keys = Object.keys(promises).sort((a, b) => (settled(b) - settled(a)) || a.localeCompare(b));
+  const nextPromises = {};
+  for (const k of keys) {
+    const nk = migrateWeekKey(k, weekStart);
+    if (!(nk in nextPromises)) nextPromises[nk] = promises[k];
+  }
+  const rekeyed = { promises: nextPromises, claimed: [...new Set(claimed.map(k => migrateWeekKey(k, weekStart)))] };
+  if (targetHistory) rekeyed.targetHistory = targetHistory.map(h => h.week ? { ...h, week: migrateWeekKey(h.week, weekStart) } : h);
+  return rekeyed;
+}
+
+export function needsWeekRekey(promises = {}, claimed = [], weekStart = DEFAULT_WEEK_START, targetHistory = []) {
+  return [...Object.keys(promises), ...claimed, ...targetHistory.filter(h => h.week).map(h => h.week)]
+    .some(k => migrateWeekKey(k, weekStart) !== k);
+}
+
+// ─── MOOD ────────────────────────────────────────────────────────────────────
+// Entries may carry a note and a before/after mood (1 = heavy … 5 = bright).
+// Only sessions rated both before and after count toward a shift.
+
+export const MOOD_SCALE = [1, 2, 3, 4, 5];
+
+export function isRatedSession(e) {
+  return MOOD_SCALE.includes(e.moodBefore) && MOOD_SCALE.includes(e.moodAfter);
+}
+
+// Average mood before, after and the shift between them, per activity, for
+// sessions dated from..to (inclusive). Activities with no rated sessions are left out.
+export function moodShifts(allEntries, { from = "", to = "9999-12-31" } = {}) {
+  const sums = {};
+  for (const e of allEntries) {
+    if (!isRatedSession(e) || e.date < from || e.date > to) continue;
+    const s = sums[e.activity_type] || (sums[e.activity_type] = { sessions: 0, before: 0, after: 0 });
+    s.sessions++;
+    s.before += e.moodBefore;
+    s.after += e.moodAfter;
+  }
+  return Object.fromEntries(Object.entries(sums).map(([id, s]) => [id, {
+    sessions: s.sessions,
+    before: s.before / s.sessions,
+    after: s.after / s.sessions,
+    shift: (s.after - s.before) / s.sessions,
+  }]));
+}
+
+// ─── GUIDED PROGRAMS ─────────────────────────────────────────────────────────
+// Breathing patterns and work/rest interval programs for the guided player.
+// A program expands into a flat list of timed phases; the player only ever asks
+// which phase a given second falls in, so pausing and resuming stay exact.
+//   cue: "in" | "hold" | "out" (breath) · "warm" | "work" | "rest" | "cool" (intervals)
+
+export const GUIDED_PROGRAMS = [
+  { id: "box", kind: "breath", label: "Box breathing", sub: "In 4 · hold 4 · out 4 · hold 4", activity: "meditate",
+    pattern: [["Breathe in", 4, "in"], ["Hold", 4, "hold"], ["Breathe out", 4, "out"], ["Hold", 4, "hold"]], minutes: 10 },
+  { id: "478", kind: "breath", label: "4-7-8 breathing", sub: "In 4 · hold 7 · out 8 — slows everything down", activity: "meditate",
+    pattern: [["Breathe in", 4, "in"], ["Hold", 7, "hold"], ["Breathe out", 8, "out"]], minutes: 10 },
+  { id: "intervals", kind: "interval", label: "Intervals", sub: "Warm up, work/rest rounds, cool down", activity: "run",
+    work: 60, rest: 90, rounds: 8, warmup: 300, cooldown: 300 },
+];
+
+// Phases for a program, with the user's settings ({ minutes } for breathing,
+// { work, rest, rounds } for intervals) laid over the program's defaults
+export function programPhases(program, settings = {}) {
+  const p = { ...program, ...settings };
+  const phases = [];
+  if (p.kind === "breath") {
+    const cycle = p.pattern.reduce((t, [, sec]) => t + sec, 0);
+    const rounds = Math.max(1, Math.round(p.minutes * 60 / cycle));
+    for (let r = 1; r <= rounds; r++) for (const [label, seconds, cue] of p.pattern) phases.push({ label, seconds, cue, round: r, rounds });
+    return phases;
+  }
+  if (p.warmup) phases.push({ label: "Warm up", seconds: p.warmup, cue: "warm", round: 0, rounds: p.rounds });
+  for (let r = 1; r <= p.rounds; r++) {
+    phases.push({ label: "Work", seconds: p.work, cue: "work", round: r, rounds: p.rounds });
+    if (r < p.rounds) phases.push({ label: "Rest", seconds: p.rest, cue: "rest", round: r, rounds: p.rounds });
+  }
+  if (p.cooldown) phases.push({ label: "Cool down", seconds: p.cooldown, cue: "cool", round: p.rounds, rounds: p.rounds });
+  return phases;
+}
+
+export function programSeconds(phases) { return phases.reduce((t, ph) => t + ph.seconds, 0); }
+
+// Where `sec` seconds into the program falls: the phase, its index, seconds
+// left in it and how far through it is (0–1). done once past the last phase.
+export function phaseAt(phases, sec) {
+  let start = 0;
+  for (let i = 0; i < phases.length; i++) {
+    const end = start + phases[i].seconds;
+    if (sec < end) return { index: i, phase: phases[i], remaining: end - sec, progress: (sec - start) / phases[i].seconds, done: false };
+    start = end;
+  }
+  return { index: phases.length, phase: null, remaining: 0, progress: 1, done: true };
+}
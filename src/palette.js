@@ -0,0 +1,11 @@
+// ─── PALETTE ─────────────────────────────────────────────────────────────────
+export const P = {
+  bgTop: "#0B0D18", bg: "#0E0F1A", bgBottom: "#14162A",
+  glass: "rgba(24,27,48,0.55)", glassBorder: "rgba(46,48,96,0.5)",
+  glassSolid: "#181B30",
+  gold: "#F3D27A", moon: "#C9D1FF", nebula: "#9C8CFF", aurora: "#6EC5FF",
+  text: "#E7E9FF", soft: "#8F96C8", muted: "#6B7099", dim: "#3D4166",
+  tierGold: "#F3D27A", tierSilver: "#C9D1FF", tierBronze: "#D4976A",
+  divider: "rgba(37,40,71,0.6)",
+  btn: "#9C8CFF", btnActive: "#7B6ECC", btnDark: "#2A2555",
+};
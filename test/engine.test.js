@@ -0,0 +1,941 @@
+// Engine tests — run with `npm test` (node:test, no extra dependencies).
+// Dates are fixed "YYYY-MM-DD" strings and clocks are passed in (`now`, with
+// an explicit timezone where the day matters), so results don't depend on
+// when or where they run.
+
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  returnBonus, calcMissedDays, bonusPacing, scoreSession, calcStreak, createScoreStore, addDays,
+  getTier, nextTierInfo, pickMessage, hashSeed, SESSION_MESSAGES, scoringOf, RETURN_CURVE, PACING_CURVE,
+  STREAK_FREEZE_CAP, rekeyWeeks, needsWeekRekey, migrateWeekKey, weekKeyOf, dayOf, todayStr, clockOf,
+  explainSession, MINDFUL_BADGE, proposeTargets, targetsAt, tiersOf, DEFAULT_TIERS, MAX_TIERS,
+  monthKey, isMonthKey, moodShifts, isRatedSession, migrateEntries, needsEntryMigration, compareSessions,
+  GUIDED_PROGRAMS, programPhases, programSeconds, phaseAt, sessionShape, recentSessions,
+  segmentsOf, activitiesOf, fromSegments, calcPts, activityMetrics, cleanMetrics, metricStats, filterEntries,
+} from "../src/engine.js";
+
+const activities = [{ id: "walk", label: "Walking" }];
+const walk = (id, date, extra = {}) => ({ id, date, activity_type: "walk", duration_min: 20, ...extra });
+const FLAT = { mode: "flat" };
+// One walk a day from `from` for n days
+const daily = (from, n, prefix = "d") => Array.from({ length: n }, (_, i) => walk(`${prefix}${i}`, addDays(from, i)));
+
+describe("return light", () => {
+  test("returnBonus grows with missed days and caps at 10", () => {
+    assert.deepEqual([0, 1, 2, 3, 9].map(n => returnBonus(n)), [0, 5, 7, 10, 10]);
+  });
+
+  test("calcMissedDays counts the days back to the previous moment", () => {
+    const entries = [walk("a", "2026-03-06")];
+    assert.equal(calcMissedDays("2026-03-10", entries), 3);
+    assert.equal(calcMissedDays("2026-03-07", entries), 0);
+  });
+
+  test("a session after a gap earns return light, added to the base", () => {
+    const entries = [walk("a", "2026-03-06"), walk("b", "2026-03-09")];
+    const r = scoreSession(entries[1], activities, entries, { scoring: FLAT });
+    assert.equal(r.missedDays, 2);
+    assert.equal(r.returnBonus, 7);
+    assert.equal(r.starsEarned, 17);
+  });
+});
+
+describe("rest days", () => {
+  test("are never missed", () => {
+    const entries = [walk("a", "2026-03-06")];
+    assert.equal(calcMissedDays("2026-03-10", entries, { restDays: ["2026-03-08"] }), 2);
+    assert.equal(calcMissedDays("2026-03-10", entries, { restDays: ["2026-03-07", "2026-03-08", "2026-03-09"] }), 0);
+  });
+
+  test("a session after only rest days earns no return light and says why", () => {
+    const entries = [walk("a", "2026-03-06"), walk("b", "2026-03-08")];
+    const opts = { scoring: FLAT, restDays: ["2026-03-07"] };
+    const r = scoreSession(entries[1], activities, entries, opts);
+    assert.equal(r.missedDays, 0);
+    assert.equal(r.returnBonus, 0);
+    const line = explainSession(entries[1], activities, entries, opts).lines.find(l => l.key === "return");
+    assert.match(line.why, /planned rest/);
+  });
+
+  test("the return bonus scored matches the missed days around rest", () => {
+    const entries = [walk("a", "2026-03-06"), walk("b", "2026-03-10")];
+    const r = scoreSession(entries[1], activities, entries, { scoring: FLAT, restDays: ["2026-03-08"] });
+    assert.equal(r.missedDays, 2);
+    assert.equal(r.returnBonus, 7);
+    assert.equal(r.starsEarned, 17);
+  });
+
+  test("bridge a streak without adding to it", () => {
+    const entries = [walk("a", "2026-03-07"), walk("b", "2026-03-08"), walk("c", "2026-03-10")];
+    const opts = { restDays: ["2026-03-09"], now: new Date(2026, 2, 10, 12) };
+    assert.equal(calcStreak(entries, activities, opts), 3);
+    assert.equal(calcStreak(entries, activities, { ...opts, restDays: [] }), 1);
+  });
+});
+
+describe("bonusPacing", () => {
+  test("softens later sessions and keeps the last value for the rest", () => {
+    assert.deepEqual([1, 2, 3, 4, 9].map(i => bonusPacing(i)), [1, 0.7, 0.5, 0.35, 0.35]);
+  });
+
+  test("paces bonuses only, never the base", () => {
+    // Four days missed before the 10th: 10 return light on every session, paced
+    const entries = [walk("p", "2026-03-05"), ...["a", "b", "c", "d"].map(id => walk(id, "2026-03-10"))];
+    const stars = entries.slice(1).map(e => scoreSession(e, activities, entries, { scoring: FLAT }).starsEarned);
+    assert.deepEqual(stars, [20, 17, 15, 14]);
+  });
+
+  test("treats an index below 1 as the first session", () => {
+    assert.equal(bonusPacing(0), 1);
+    assert.equal(bonusPacing(-1), 1);
+  });
+});
+
+describe("presence, once per day (flat mode)", () => {
+  // A moment the day before, so return light stays out of the totals
+  const day = [walk("p", "2026-03-09"), ...["a", "b", "c"].map(id => walk(id, "2026-03-10", { mindful: true }))];
+  const score = id => scoreSession(day.find(e => e.id === id), activities, day, { scoring: FLAT });
+
+  test("only the first mindful session of the day earns the bonus", () => {
+    assert.deepEqual(["a", "b", "c"].map(id => score(id).presenceBonus), [5, 0, 0]);
+    assert.deepEqual(["a", "b", "c"].map(id => score(id).starsEarned), [15, 10, 10]);
+  });
+
+  test("a session that isn't mindful earns none", () => {
+    const entries = [walk("p", "2026-03-09"), walk("a", "2026-03-10")];
+    assert.equal(scoreSession(entries[1], activities, entries, { scoring: FLAT }).presenceBonus, 0);
+  });
+});
+
+describe("scoring profile", () => {
+  const day = [walk("p", "2026-03-09"), ...["a", "b", "c"].map(id => walk(id, "2026-03-10", { mindful: true }))];
+  const score = (id, scoring) => scoreSession(day.find(e => e.id === id), activities, day, { scoring: { ...FLAT, ...scoring } });
+
+  test("the presence cap sets how many mindful sessions a day earn it, paced", () => {
+    assert.deepEqual(["a", "b", "c"].map(id => score(id, { presenceCap: 2 }).presenceBonus), [5, 5, 0]);
+    assert.equal(score("b", { presenceCap: 2 }).starsEarned, 14);
+    assert.deepEqual(["a", "b", "c"].map(id => score(id, { presenceCap: 0 }).presenceBonus), [0, 0, 0]);
+  });
+
+  test("a cap of 0 explains that no presence glow is earned", () => {
+    const opts = { scoring: { ...FLAT, presenceCap: 0 } };
+    const bonus = e => explainSession(e, activities, day, opts).lines.find(l => l.key === "bonus");
+    assert.equal(bonus(day[1]).why, "Your scoring profile earns no presence glow");
+    const plain = [walk("p", "2026-03-09"), walk("d", "2026-03-10")];
+    assert.equal(explainSession(plain[1], activities, plain, opts).lines.find(l => l.key === "bonus").hint, "");
+  });
+
+  test("the hint doesn't promise a bonus the cap has used up", () => {
+    const entries = [...day, walk("d", "2026-03-10")];
+    const hint = explainSession(entries[4], activities, entries, { scoring: FLAT }).lines.find(l => l.key === "bonus").hint;
+    assert.match(hint, /Already earned 1 time earlier today/);
+    const fresh = [walk("p", "2026-03-09"), walk("d", "2026-03-10")];
+    assert.match(explainSession(fresh[1], activities, fresh, { scoring: FLAT }).lines.find(l => l.key === "bonus").hint, /would have added 5/);
+  });
+
+  test("base and presence bonus come from the profile", () => {
+    assert.equal(score("a", { base: 20, presenceBonus: 8 }).starsEarned, 28);
+    assert.equal(score("b", { base: 20, presenceBonus: 8 }).starsEarned, 20);
+  });
+
+  test("custom curves replace return light and pacing", () => {
+    const entries = [walk("p", "2026-03-05"), walk("a", "2026-03-10"), walk("b", "2026-03-10")];
+    const scoring = { ...FLAT, returnCurve: [0, 2, 4], pacingCurve: [1, 0.5] };
+    const [a, b] = entries.slice(1).map(e => scoreSession(e, activities, entries, { scoring }));
+    assert.equal(a.returnBonus, 4);
+    assert.equal(b.pacing, 0.5);
+    assert.equal(b.starsEarned, 12);
+  });
+
+  test("an unusable curve falls back to the default", () => {
+    const sc = scoringOf({ returnCurve: [], pacingCurve: [1, "x"] });
+    assert.deepEqual(sc.returnCurve, RETURN_CURVE);
+    assert.deepEqual(sc.pacingCurve, PACING_CURVE);
+  });
+});
+
+describe("activity mode", () => {
+  // Walking's preset: 20 min → 1 star, 45 min → 2 stars, bonus 1 star
+  const ACTIVITY = { mode: "activity" };
+  const at = (mins, scoring = ACTIVITY) => calcPts(walk("a", "2026-03-10", { duration_min: mins }), activities, { scoring });
+
+  test("duration tiers pick the min and mid stars", () => {
+    assert.deepEqual([20, 44, 45, 90].map(m => at(m)), [10, 10, 20, 20]);
+  });
+
+  test("the floor keeps short sessions at the base; off, they earn nothing", () => {
+    assert.equal(at(10), 10);
+    assert.equal(at(10, { ...ACTIVITY, base: 15 }), 15);
+    assert.equal(at(10, { ...ACTIVITY, floor: false }), 0);
+    assert.equal(at(20, { ...ACTIVITY, floor: false }), 10);
+  });
+
+  test("a mindful session earns the activity's bonus stars, only in activity mode", () => {
+    const day = [walk("p", "2026-03-09"), walk("a", "2026-03-10", { mindful: true, duration_min: 45 })];
+    const byActivity = scoreSession(day[1], activities, day, { scoring: ACTIVITY });
+    assert.equal(byActivity.activityBonus, 10);
+    assert.equal(byActivity.presenceBonus, 0);
+    assert.equal(byActivity.starsEarned, 30);
+    const flat = scoreSession(day[1], activities, day, { scoring: FLAT });
+    assert.equal(flat.activityBonus, 0);
+    assert.equal(flat.presenceBonus, 5);
+    const custom = [{ id: "walk", label: "Walking", bonusStars: 3 }];
+    assert.equal(scoreSession(day[1], custom, day, { scoring: ACTIVITY }).activityBonus, 30);
+  });
+
+  test("a split session scores each segment, then its main activity's bonus", () => {
+    const acts = [...activities, { id: "run", label: "Running" }];
+    // Walk 25 min → 1 star, run 30 min → mid tier, 3 stars; main activity run, bonus 1 star
+    const e = { id: "s", date: "2026-03-10", mindful: true,
+      ...fromSegments([{ activity_type: "walk", duration_min: 25 }, { activity_type: "run", duration_min: 30 }]) };
+    const day = [walk("p", "2026-03-09"), e];
+    const r = scoreSession(e, acts, day, { scoring: ACTIVITY });
+    assert.equal(r.baseStar, 40);
+    assert.equal(r.activityBonus, 10);
+    assert.equal(r.starsEarned, 50);
+  });
+});
+
+describe("score store", () => {
+  const opts = { scoring: FLAT };
+  const days = Array.from({ length: 28 }, (_, i) => addDays("2026-03-01", i));
+  // Every cached day and session matches a store built fresh from the same entries
+  const matchesFresh = (store, entries) => {
+    const fresh = createScoreStore(entries, activities, opts);
+    for (const ds of days) assert.equal(store.dayStars(ds), fresh.dayStars(ds), ds);
+    for (const e of entries) assert.deepEqual(store.scoreOf(e), fresh.scoreOf(e), e.id);
+  };
+  const primed = entries => {
+    const store = createScoreStore(entries, activities, opts);
+    days.forEach(store.dayStars);
+    return store;
+  };
+
+  test("a day turning non-empty updates the return light after it", () => {
+    const a = walk("a", "2026-03-05"), b = walk("b", "2026-03-10"), gap = walk("g", "2026-03-08");
+    const store = primed([a, b]);
+    assert.equal(store.scoreOf(b).returnBonus, 10);
+    store.add(gap);
+    assert.equal(store.scoreOf(b).returnBonus, 5);
+    matchesFresh(store, [a, gap, b]);
+  });
+
+  test("a day turning empty again brings the gap back", () => {
+    const a = walk("a", "2026-03-05"), b = walk("b", "2026-03-10"), gap = walk("g", "2026-03-08");
+    const store = primed([a, gap, b]);
+    store.remove(gap);
+    assert.equal(store.scoreOf(b).returnBonus, 10);
+    matchesFresh(store, [a, b]);
+  });
+
+  test("a second session on a day only re-paces that day", () => {
+    const a = walk("a", "2026-03-09"), b = walk("b", "2026-03-10", { mindful: true });
+    const store = primed([a, b]);
+    const c = walk("c", "2026-03-10", { mindful: true });
+    store.add(c);
+    assert.equal(store.dayStars("2026-03-10"), 25);
+    matchesFresh(store, [a, b, c]);
+  });
+
+  test("sync applies additions, removals and a re-sorted day", () => {
+    const a = walk("a", "2026-03-05", { mindful: true }), b = walk("b", "2026-03-05");
+    const c = walk("c", "2026-03-12"), d = walk("d", "2026-03-20");
+    const store = primed([a, b, c, d]);
+    // b edited into a mindful session that now comes first; c dropped; e added in the gap
+    const b2 = { ...b, id: "0", mindful: true }, e = walk("e", "2026-03-15");
+    const next = [b2, a, e, d];
+    store.sync(next);
+    assert.equal(store.scoreOf(b2).sessionIndex, 1);
+    assert.equal(store.scoreOf(b2).presenceBonus, 5);
+    assert.equal(store.scoreOf(a).presenceBonus, 0);
+    matchesFresh(store, next);
+  });
+
+  test("sync with the same entries keeps the cache", () => {
+    const entries = [walk("a", "2026-03-05"), walk("b", "2026-03-06")];
+    const store = primed(entries);
+    const before = store.scoreOf(entries[1]);
+    store.sync([...entries]);
+    assert.equal(store.scoreOf(entries[1]), before);
+  });
+});
+
+describe("tiers", () => {
+  test("getTier at the exact thresholds", () => {
+    assert.equal(getTier(49, 100).tier, "none");
+    assert.equal(getTier(50, 100).label, "Bronze");
+    assert.equal(getTier(99, 100).label, "Bronze");
+    assert.equal(getTier(100, 100).label, "Silver");
+    assert.equal(getTier(149, 100).label, "Silver");
+    assert.equal(getTier(150, 100).label, "Gold");
+  });
+
+  test("thresholds round, and the rounded value is enough", () => {
+    // 35 × 0.5 = 17.5 → 18, 35 × 1.5 = 52.5 → 53
+    assert.equal(getTier(17, 35).tier, "none");
+    assert.equal(getTier(18, 35).label, "Bronze");
+    assert.equal(getTier(52, 35).label, "Silver");
+    assert.equal(getTier(53, 35).label, "Gold");
+  });
+
+  test("nextTierInfo counts what's left to the next tier", () => {
+    assert.deepEqual(nextTierInfo(49, 100), { label: "Bronze", rank: 1, fromTop: 2, remaining: 1 });
+    assert.deepEqual(nextTierInfo(50, 100), { label: "Silver", rank: 2, fromTop: 1, remaining: 50 });
+    assert.equal(nextTierInfo(52, 35).remaining, 1);
+    assert.equal(nextTierInfo(150, 100), null);
+  });
+
+  test("custom tiers are sorted, ranked, and the highest is the top", () => {
+    const tiers = [{ label: "Far", pct: 2 }, { label: "Near", pct: 0.25 }];
+    assert.deepEqual(tiersOf(tiers).map(t => [t.label, t.tier, t.rank, t.top]), [["Near", "tier1", 1, false], ["Far", "tier2", 2, true]]);
+    assert.equal(getTier(24, 100, tiers).tier, "none");
+    assert.equal(getTier(25, 100, tiers).label, "Near");
+    assert.equal(getTier(199, 100, tiers).label, "Near");
+    assert.equal(getTier(200, 100, tiers).top, true);
+    assert.equal(nextTierInfo(25, 100, tiers).remaining, 175);
+  });
+
+  test("unusable tiers fall back to the defaults, and extras beyond the cap are dropped", () => {
+    assert.deepEqual(tiersOf([{ label: "Zero", pct: 0 }]).map(t => t.label), DEFAULT_TIERS.map(t => t.label));
+    const many = Array.from({ length: MAX_TIERS + 2 }, (_, i) => ({ label: `T${i}`, pct: i + 1 }));
+    assert.equal(tiersOf(many).length, MAX_TIERS);
+  });
+
+  test("the top custom tier banks streak freezes", () => {
+    const entries = [...daily("2026-03-02", 7), walk("x", "2026-03-10")];
+    const at = new Date(2026, 2, 10, 12);
+    const store = createScoreStore(entries, activities, { now: at });
+    const tiers = [{ label: "Glow", pct: 1 }, { label: "Blaze", pct: 2 }];
+    assert.deepEqual(store.streakRecord(at, { weeklyStarTarget: 40, tiers }).frozen, ["2026-03-09"]);
+    assert.deepEqual(store.streakRecord(at, { weeklyStarTarget: 50, tiers }).frozen, []);
+  });
+});
+
+describe("messages", () => {
+  test("pickMessage is stable for a seed", () => {
+    const pool = ["a", "b", "c"];
+    assert.equal(pickMessage(pool, 4), "b");
+    assert.equal(pickMessage(pool, "2026-03-10|walk"), pickMessage(pool, "2026-03-10|walk"));
+    assert.equal(pickMessage(pool, "x"), pool[hashSeed("x") % 3]);
+  });
+
+  test("scoreSession uses the seed it is given", () => {
+    const entries = [walk("p", "2026-03-09"), walk("a", "2026-03-10")];
+    for (let seed = 0; seed < 3; seed++) {
+      assert.equal(scoreSession(entries[1], activities, entries, { seed }).message, SESSION_MESSAGES.base[seed]);
+    }
+  });
+
+  test("a return picks from the re-entry messages", () => {
+    const entries = [walk("p", "2026-03-05"), walk("a", "2026-03-10")];
+    assert.equal(scoreSession(entries[1], activities, entries, { seed: 1 }).message, SESSION_MESSAGES.reentry[1]);
+  });
+});
+
+describe("clock", () => {
+  const entries = ["2026-03-08", "2026-03-09", "2026-03-10"].map((d, i) => walk(String(i), d));
+  const at = new Date("2026-03-10T02:30:00Z");
+
+  test("the day follows the given timezone", () => {
+    assert.equal(dayOf(at, { timezone: "UTC" }), "2026-03-10");
+    assert.equal(dayOf(at, { timezone: "America/New_York" }), "2026-03-09");
+    assert.equal(todayStr(at, { timezone: "Asia/Tokyo" }), "2026-03-10");
+  });
+
+  test("before the day cutoff it is still the day before", () => {
+    assert.equal(dayOf(at, { timezone: "UTC", dayCutoffHour: 3 }), "2026-03-09");
+    assert.equal(dayOf(at, { timezone: "UTC", dayCutoffHour: 2 }), "2026-03-10");
+  });
+
+  test("clockOf fills in the defaults", () => {
+    assert.deepEqual(clockOf(), { timezone: "", dayCutoffHour: 0 });
+    assert.deepEqual(clockOf({ timezone: "Europe/Paris", dayCutoffHour: 4 }), { timezone: "Europe/Paris", dayCutoffHour: 4 });
+  });
+
+  test("the streak's today comes from the store's clock", () => {
+    assert.equal(calcStreak(entries, activities, { now: at, timezone: "UTC" }), 3);
+    assert.equal(calcStreak(entries, activities, { now: at, timezone: "UTC", dayCutoffHour: 3 }), 2);
+  });
+
+  test("the streak is counted back from the injected day", () => {
+    assert.equal(calcStreak(entries, activities, { now: new Date(2026, 2, 10, 12) }), 3);
+    assert.equal(calcStreak(entries, activities, { now: new Date(2026, 2, 9, 12) }), 2);
+    assert.equal(calcStreak(entries, activities, { now: new Date(2026, 2, 12, 12) }), 0);
+  });
+});
+
+describe("streak freezes", () => {
+  // Mon 2 – Sun 8 March: 70 base + 10 return light on the first day = 80, Gold at a target of 40
+  const week = daily("2026-03-02", 7);
+  const now = new Date(2026, 2, 10, 12);
+  const record = (entries, at, weeklyTarget, opts = {}) =>
+    createScoreStore(entries, activities, { ...opts, now: at }).streakRecord(at, { weeklyStarTarget: weeklyTarget });
+
+  test("a Gold week banks a freeze that covers a missed day", () => {
+    const r = record([...week, walk("x", "2026-03-10")], now, 40);
+    assert.deepEqual(r.frozen, ["2026-03-09"]);
+    assert.equal(r.current, 8);
+    assert.equal(r.currentStart, "2026-03-02");
+    assert.equal(r.freezes, 0);
+  });
+
+  test("without a freeze the missed day ends the run and it goes into the history", () => {
+    const r = record([...week, walk("x", "2026-03-10")], now, 1000);
+    assert.equal(r.current, 1);
+    assert.deepEqual(r.history, [{ start: "2026-03-02", end: "2026-03-08", length: 7 }]);
+    assert.equal(r.longest, 7);
+  });
+
+  test("rest days bridge a run without spending a freeze", () => {
+    const r = record([...week, walk("x", "2026-03-10")], now, 40, { restDays: ["2026-03-09"] });
+    assert.deepEqual(r.frozen, []);
+    assert.equal(r.freezes, 1);
+    assert.equal(r.current, 8);
+  });
+
+  test("today never breaks a run", () => {
+    assert.equal(record(week, new Date(2026, 2, 9, 12), 1000).current, 7);
+  });
+
+  test("banked freezes stop at the cap", () => {
+    const later = new Date(2026, 3, 13, 12);
+    assert.equal(record(daily("2026-03-02", 42), later, 40).freezes, STREAK_FREEZE_CAP);
+  });
+});
+
+describe("week keys", () => {
+  test("weekKeyOf names a week by its first day", () => {
+    assert.equal(weekKeyOf("2026-03-04", 1), "wk:2026-03-02");
+    assert.equal(weekKeyOf("2026-03-04", 0), "wk:2026-03-01");
+  });
+
+  test("legacy day-of-month weeks move to the week holding their first day", () => {
+    assert.equal(migrateWeekKey("2026-03-W1", 1), "wk:2026-02-23");
+    assert.equal(migrateWeekKey("2026-03-W2", 1), "wk:2026-03-02");
+    assert.equal(migrateWeekKey("wk:2026-03-02", 1), "wk:2026-03-02");
+  });
+
+  test("a new week start moves keys to the week holding their start date", () => {
+    const { promises, claimed } = rekeyWeeks({ "wk:2026-03-02": "walk more" }, ["wk:2026-03-02"], 0);
+    assert.deepEqual(promises, { "wk:2026-03-01": "walk more" });
+    assert.deepEqual(claimed, ["wk:2026-03-01"]);
+  });
+
+  test("when weeks collide the promise already on the key wins and claims merge", () => {
+    const r = rekeyWeeks({ "2026-03-W2": "old", "wk:2026-03-02": "kept" }, ["2026-03-W2", "wk:2026-03-02"], 1);
+    assert.deepEqual(r.promises, { "wk:2026-03-02": "kept" });
+    assert.deepEqual(r.claimed, ["wk:2026-03-02"]);
+  });
+
+  test("with no settled key the earlier week's promise wins", () => {
+    const r = rekeyWeeks({ "wk:2026-03-02": "later", "2026-03-W1": "earlier" }, [], 0);
+    assert.deepEqual(r.promises, { "wk:2026-03-01": "earlier" });
+  });
+
+  test("needsWeekRekey only when some key would move", () => {
+    assert.equal(needsWeekRekey({ "wk:2026-03-02": "x" }, ["wk:2026-02-23"], 1), false);
+    assert.equal(needsWeekRekey({}, ["2026-03-W1"], 1), true);
+    assert.equal(needsWeekRekey({ "wk:2026-03-02": "x" }, [], 0), true);
+  });
+
+  test("target changes move with the weeks, and records without a week stay as they are", () => {
+    const history = [
+      { week: "wk:2026-03-02", date: "2026-03-02", accepted: true, from: { weeklyStarTarget: 100 }, to: { weeklyStarTarget: 120 } },
+      { date: "2026-03-04", accepted: true, manual: true, from: { weeklyStarTarget: 120 }, to: { weeklyStarTarget: 140 } },
+    ];
+    assert.equal(needsWeekRekey({}, [], 1, history), false);
+    assert.equal(needsWeekRekey({}, [], 0, history), true);
+    const r = rekeyWeeks({}, [], 0, history);
+    assert.deepEqual(r.targetHistory.map(h => h.week), ["wk:2026-03-01", undefined]);
+    assert.equal(r.targetHistory[1], history[1]);
+    assert.equal("targetHistory" in rekeyWeeks({}, [], 0), false);
+  });
+
+  test("month keys sit beside week keys and are never re-keyed", () => {
+    assert.equal(monthKey(2026, 3), "mo:2026-03");
+    assert.equal(isMonthKey("mo:2026-03"), true);
+    assert.equal(isMonthKey("wk:2026-03-02"), false);
+    assert.deepEqual(rekeyWeeks({ "mo:2026-03": "steady" }, ["mo:2026-03"], 0), { promises: { "mo:2026-03": "steady" }, claimed: ["mo:2026-03"] });
+    assert.equal(needsWeekRekey({ "mo:2026-03": "steady" }, [], 0), false);
+  });
+
+  test("freezes follow the chosen week start", () => {
+    // Sun 1 – Sat 7 March is a full Sunday-start week: 80, Gold at 40
+    const entries = [...daily("2026-03-01", 7), walk("x", "2026-03-09")];
+    const at = new Date(2026, 2, 9, 12);
+    const r = createScoreStore(entries, activities, { weekStart: 0, now: at }).streakRecord(at, { weeklyStarTarget: 40 });
+    assert.deepEqual(r.frozen, ["2026-03-08"]);
+  });
+});
+
+describe("starlight breakdown", () => {
+  const sum = ex => ex.lines.reduce((t, l) => t + l.value, 0);
+  const line = (ex, key) => ex.lines.find(l => l.key === key);
+
+  test("the lines add up to the session's starlight", () => {
+    const entries = [walk("p", "2026-03-05"), ...["a", "b", "c"].map(id => walk(id, "2026-03-10", { mindful: true, duration_min: 50 }))];
+    for (const scoring of [FLAT, { mode: "activity" }]) {
+      for (const e of entries) {
+        const ex = explainSession(e, activities, entries, { scoring });
+        assert.equal(sum(ex), ex.total);
+        assert.equal(ex.total, scoreSession(e, activities, entries, { scoring }).starsEarned);
+      }
+    }
+  });
+
+  test("each line says why", () => {
+    const entries = [walk("p", "2026-03-05"), walk("a", "2026-03-10", { mindful: true }), walk("b", "2026-03-10", { mindful: true })];
+    const ex = explainSession(entries[2], activities, entries, { scoring: FLAT });
+    assert.equal(line(ex, "base").why, "Every moment earns 10");
+    assert.match(line(ex, "bonus").why, /Already earned 1 time earlier today/);
+    assert.equal(line(ex, "return").why, "4 days since your last moment");
+    assert.equal(line(ex, "pacing").why, "2nd session today — bonuses at 70%");
+    assert.equal(line(ex, "pacing").value, -3);
+    assert.equal(line(explainSession(entries[0], activities, entries), "return").why, "14 days+ since your last moment");
+  });
+
+  test("activity mode names the tier and what more minutes would earn", () => {
+    const entries = [walk("p", "2026-03-09"), walk("a", "2026-03-10", { duration_min: 10 }), walk("b", "2026-03-11", { duration_min: 30 })];
+    const opts = { scoring: { mode: "activity" } };
+    const short = line(explainSession(entries[1], activities, entries, opts), "base");
+    assert.equal(short.why, "10 min is under the 20-min minimum · raised to the floor of 10");
+    assert.equal(short.hint, "10 more min would earn 10");
+    const mid = line(explainSession(entries[2], activities, entries, opts), "base");
+    assert.equal(mid.why, "30 min — base tier (10)");
+    assert.equal(mid.hint, "15 more min would earn 20");
+  });
+
+  test("the store explains from its cached scores", () => {
+    const entries = [walk("p", "2026-03-05"), walk("a", "2026-03-10", { mindful: true })];
+    const store = createScoreStore(entries, activities, { scoring: FLAT });
+    assert.deepEqual(store.explain(entries[1]), explainSession(entries[1], activities, entries, { scoring: FLAT }));
+  });
+});
+
+describe("achievements", () => {
+  // 2–16 March, one walk a day: 20 on the first (return light), 10 after
+  const run = daily("2026-03-02", 15);
+  const targets = { weeklyStarTarget: 40, monthlyTarget: 80, monthlyStretch: 100 };
+  const earned = (entries, at, t = targets, acts = activities) =>
+    createScoreStore(entries, acts, { scoring: FLAT, now: at }).achievements(at, t);
+
+  test("back-fills the day each badge was first earned", () => {
+    assert.deepEqual(earned(run, new Date(2026, 2, 20, 12)), {
+      streak_7: "2026-03-08",
+      streak_14: "2026-03-15",
+      first_gold: "2026-03-06",       // 20 + 4 × 10 reaches Gold (60) on Friday
+      monthly_stretch: "2026-03-10",  // 20 + 8 × 10 = 100
+    });
+  });
+
+  test("nothing after the injected day counts", () => {
+    assert.deepEqual(earned(run, new Date(2026, 2, 7, 12)), { first_gold: "2026-03-06" });
+  });
+
+  test("no target, no target badges", () => {
+    assert.deepEqual(Object.keys(earned(run, new Date(2026, 2, 20, 12), {})), ["streak_7", "streak_14"]);
+  });
+
+  test("mindful sessions are counted across days", () => {
+    const many = (date, n) => Array.from({ length: n }, (_, i) => walk(`${date}-${i}`, date, { mindful: true }));
+    const at = new Date(2026, 2, 10, 12);
+    assert.equal(earned([...many("2026-03-02", 60), ...many("2026-03-03", 40)], at).mindful_100, "2026-03-03");
+    assert.equal(earned([...many("2026-03-02", 60), ...many("2026-03-03", MINDFUL_BADGE - 61)], at).mindful_100, undefined);
+  });
+
+  test("every activity tried, on the day the last one was first logged", () => {
+    const acts = [...activities, { id: "yoga", label: "Yoga" }];
+    const entries = [walk("a", "2026-03-02"), { ...walk("b", "2026-03-04"), activity_type: "yoga" }, walk("c", "2026-03-05")];
+    const at = new Date(2026, 2, 10, 12);
+    assert.equal(earned(entries, at, {}, acts).all_activities, "2026-03-04");
+    assert.equal(earned(entries.slice(0, 1), at, {}, acts).all_activities, undefined);
+  });
+});
+
+describe("year in stars", () => {
+  const acts = [...activities, { id: "yoga", label: "Yoga" }];
+  const entries = [
+    ...daily("2026-03-02", 7, "a"),   // 80: Gold at 40 (20 on the first day, after a gap)
+    ...daily("2026-03-09", 5, "b"),   // 50: Silver
+    ...daily("2026-03-16", 2, "c"),   // 17 + 10 = 27 after two missed days: Bronze
+    { ...walk("y", "2026-04-01", { mindful: true }), activity_type: "yoga" }, // 10 + 10 + 5 presence: Bronze
+  ];
+  const targets = { weeklyStarTarget: 40, monthlyTarget: 150, monthlyStretch: 200 };
+  const at = new Date(2026, 3, 20, 12);
+  const store = createScoreStore(entries, acts, { scoring: FLAT, now: at });
+
+  test("monthStats sums a month's starlight, minutes and sessions", () => {
+    const mo = store.monthStats(2026, 3, targets);
+    assert.equal(mo.pts, 157);
+    assert.equal(mo.minutes, 280);
+    assert.equal(mo.activeDays, 14);
+    assert.deepEqual(mo.actCounts, { walk: 14, yoga: 0 });
+    assert.equal(mo.target, true);
+    assert.equal(mo.stretch, false);
+  });
+
+  test("yearStats adds up the months", () => {
+    const y = store.yearStats(2026, targets, at);
+    assert.equal(y.pts, 182);
+    assert.equal(y.sessions, 15);
+    assert.equal(y.mindful, 1);
+    assert.equal(y.mindfulRatio, 1 / 15);
+    assert.deepEqual(y.actCounts, { walk: 14, yoga: 1 });
+    assert.equal(y.bestMonth.m, 3);
+    assert.equal(y.monthsOnTarget, 1);
+    assert.equal(y.months.length, 12);
+  });
+
+  test("each week is counted once per tier, in the year it starts", () => {
+    const y = store.yearStats(2026, targets, at);
+    assert.equal(y.weeks[0].start, "2026-01-05");
+    assert.equal(y.weeks.length, 52);
+    assert.deepEqual(y.tierCounts, { tier1: 2, tier2: 1, tier3: 1 });
+    assert.deepEqual(y.weeks.filter(w => w.pts).map(w => [w.start, w.pts]),
+      [["2026-03-02", 80], ["2026-03-09", 50], ["2026-03-16", 27], ["2026-03-30", 25]]);
+  });
+
+  test("the longest run is the one a freeze stretched", () => {
+    // The Gold week's freeze covers the 14th; the 15th ends the run
+    assert.deepEqual(store.yearStats(2026, targets, at).longestRun, { start: "2026-03-02", end: "2026-03-13", length: 12 });
+  });
+});
+
+describe("adaptive targets", () => {
+  const targets = { weeklyStarTarget: 100, monthlyTarget: 400, monthlyStretch: 600 };
+
+  test("needs a full run of finished weeks", () => {
+    assert.equal(proposeTargets([150, 150, 150], targets), null);
+  });
+
+  test("mostly Gold weeks raise every target together", () => {
+    const p = proposeTargets([150, 160, 150, 20], targets);
+    assert.equal(p.direction, "up");
+    assert.deepEqual(p.targets, { weeklyStarTarget: 110, monthlyTarget: 440, monthlyStretch: 660 });
+    assert.match(p.reason, /reached Gold/);
+  });
+
+  test("a consistency intention never raises", () => {
+    assert.equal(proposeTargets([150, 160, 150, 150], targets, "Consistency, not intensity"), null);
+    assert.equal(proposeTargets([150, 160, 150, 150], targets, "Gentle structure").targets.weeklyStarTarget, 110);
+  });
+
+  test("mostly missed weeks ease it down, never below the minimum", () => {
+    const p = proposeTargets([10, 0, 20, 100], targets);
+    assert.equal(p.direction, "down");
+    assert.deepEqual(p.targets, { weeklyStarTarget: 90, monthlyTarget: 360, monthlyStretch: 540 });
+    assert.equal(proposeTargets([0, 0, 0, 0], { ...targets, weeklyStarTarget: 20 }), null);
+  });
+
+  test("mixed weeks leave the targets alone", () => {
+    assert.equal(proposeTargets([150, 100, 40, 150], targets), null);
+  });
+
+  test("the store judges the four finished weeks before this one", () => {
+    // Mon 2 March – Sun 29 March, two walks a day: 157, 140, 140, 140 — all Gold at a weekly 80
+    const store = createScoreStore([...daily("2026-03-02", 28, "a"), ...daily("2026-03-02", 28, "b")], activities, { scoring: FLAT });
+    const weekly = { weeklyStarTarget: 80, monthlyTarget: 320, monthlyStretch: 480 };
+    assert.deepEqual(store.suggestTargets(weekly, "", new Date(2026, 2, 30, 12)).targets,
+      { weeklyStarTarget: 90, monthlyTarget: 360, monthlyStretch: 540 });
+    // A week before the first moment isn't judged
+    assert.equal(store.suggestTargets(weekly, "", new Date(2026, 2, 27, 12)), null);
+  });
+});
+
+describe("targets over time", () => {
+  const raise = (week, from, to, extra = {}) => ({ week, date: week.slice(3), accepted: true, from: { weeklyStarTarget: from }, to: { weeklyStarTarget: to }, ...extra });
+  const history = [raise("wk:2026-03-02", 100, 120), raise("wk:2026-03-16", 120, 140)];
+  const now = { weeklyStarTarget: 140 };
+  const weekly = (ds, h = history) => targetsAt(ds, now, h, 1).weeklyStarTarget;
+
+  test("each week is judged by the targets in effect when it started", () => {
+    assert.equal(weekly("2026-02-23"), 100);
+    assert.equal(weekly("2026-03-02"), 120);
+    assert.equal(weekly("2026-03-09"), 120);
+    assert.equal(weekly("2026-03-16"), 140);
+  });
+
+  test("a month keeps the targets of its first day", () => {
+    assert.equal(weekly("2026-03-01"), 100);
+  });
+
+  test("declined proposals change nothing", () => {
+    assert.equal(weekly("2026-02-23", [raise("wk:2026-03-02", 100, 120, { accepted: false })]), 140);
+  });
+
+  test("a record without a week applies from the week of its date", () => {
+    const h = [{ date: "2026-03-04", accepted: true, manual: true, from: { weeklyStarTarget: 100 }, to: { weeklyStarTarget: 140 } }];
+    assert.equal(weekly("2026-02-23", h), 100);
+    assert.equal(weekly("2026-03-02", h), 140);
+  });
+
+  test("tier edits are kept per week, default tiers included", () => {
+    const tiers = [{ label: "Far", pct: 2 }];
+    const h = [{ week: "wk:2026-03-02", date: "2026-03-02", accepted: true, manual: true, from: { tiers: null }, to: { tiers } }];
+    const before = targetsAt("2026-02-23", { weeklyStarTarget: 100, tiers }, h, 1);
+    assert.equal(getTier(150, before.weeklyStarTarget, before.tiers).label, "Gold");
+    assert.equal(getTier(150, 100, tiers).tier, "none");
+  });
+
+  test("a week that was top-tier under its own target still banks a freeze", () => {
+    const entries = [...daily("2026-03-02", 7), walk("x", "2026-03-10")];
+    const at = new Date(2026, 2, 10, 12);
+    const targetHistory = [raise("wk:2026-03-09", 40, 1000)];
+    const store = createScoreStore(entries, activities, { scoring: FLAT, now: at, targetHistory });
+    assert.deepEqual(store.streakRecord(at, { weeklyStarTarget: 1000 }).frozen, ["2026-03-09"]);
+  });
+});
+
+describe("mood", () => {
+  const rated = (id, date, moodBefore, moodAfter, extra) => walk(id, date, { moodBefore, moodAfter, ...extra });
+
+  test("only sessions rated before and after count", () => {
+    assert.equal(isRatedSession(rated("a", "2026-03-10", 2, 4)), true);
+    assert.equal(isRatedSession(walk("b", "2026-03-10", { moodAfter: 4 })), false);
+    assert.equal(isRatedSession(rated("c", "2026-03-10", 0, 4)), false);
+  });
+
+  test("averages and shifts per activity, within the dates", () => {
+    const entries = [
+      rated("a", "2026-03-02", 2, 4), rated("b", "2026-03-05", 3, 4), walk("c", "2026-03-06", { moodBefore: 1 }),
+      rated("d", "2026-03-06", 4, 5, { activity_type: "yoga" }), rated("e", "2026-04-01", 1, 5),
+    ];
+    assert.deepEqual(moodShifts(entries, { from: "2026-03-01", to: "2026-03-31" }), {
+      walk: { sessions: 2, before: 2.5, after: 4, shift: 1.5 },
+      yoga: { sessions: 1, before: 4, after: 5, shift: 1 },
+    });
+    assert.equal(moodShifts(entries).walk.sessions, 3);
+    assert.deepEqual(moodShifts(entries, { from: "2026-05-01" }), {});
+  });
+});
+
+describe("entry ids and timestamps", () => {
+  const old = (date, extra = {}) => ({ date, activity_type: "walk", duration_min: 20, ...extra });
+
+  test("fills in ids and re-ids duplicates, keeping the first", () => {
+    const out = migrateEntries([old("2026-03-10", { id: "a" }), old("2026-03-10", { id: "a" }), old("2026-03-11")]);
+    assert.equal(out[0].id, "a");
+    assert.ok(out[1].id && out[1].id !== "a");
+    assert.ok(out[2].id);
+    assert.equal(new Set(out.map(e => e.id)).size, 3);
+  });
+
+  test("unknown log times become noon, a second apart in array order", () => {
+    const out = migrateEntries([old("2026-03-10"), old("2026-03-10"), old("2026-03-11")]);
+    const local = iso => { const d = new Date(iso); return [d.getHours(), d.getMinutes(), d.getSeconds()]; };
+    assert.deepEqual(out.map(e => local(e.createdAt)), [[12, 0, 0], [12, 0, 1], [12, 0, 0]]);
+    assert.deepEqual(out.map(e => e.startedAt), out.map(e => e.createdAt));
+  });
+
+  test("a known log time on the entry's day starts the session its duration before", () => {
+    const [e] = migrateEntries([old("2026-03-10", { id: "a", createdAt: "2026-03-10T18:00:00.000Z" })], { timezone: "UTC" });
+    assert.equal(e.startedAt, "2026-03-10T17:40:00.000Z");
+  });
+
+  test("complete entries are returned as they are", () => {
+    const done = { ...old("2026-03-10"), id: "a", createdAt: "2026-03-10T18:00:00.000Z", startedAt: "2026-03-10T17:40:00.000Z" };
+    assert.equal(migrateEntries([done])[0], done);
+    assert.equal(needsEntryMigration([done]), false);
+    assert.equal(needsEntryMigration([done, done]), true);
+    assert.equal(needsEntryMigration([old("2026-03-10", { id: "b" })]), true);
+  });
+
+  test("a day's sessions are paced in the order they started, not the order saved", () => {
+    const late = walk("a", "2026-03-10", { mindful: true, startedAt: "2026-03-10T18:00:00.000Z" });
+    const early = walk("b", "2026-03-10", { mindful: true, startedAt: "2026-03-10T07:00:00.000Z" });
+    const entries = [walk("p", "2026-03-09"), late, early];
+    assert.equal(compareSessions(early, late) < 0, true);
+    const store = createScoreStore(entries, activities, { scoring: FLAT });
+    assert.equal(store.scoreOf(early).presenceBonus, 5);
+    assert.equal(store.scoreOf(late).sessionIndex, 2);
+    // A copy of a stored entry (as an edit form holds) is found by id
+    assert.equal(scoreSession({ ...late }, activities, store, { scoring: FLAT }).sessionIndex, 2);
+  });
+});
+
+describe("guided programs", () => {
+  const program = id => GUIDED_PROGRAMS.find(p => p.id === id);
+
+  test("breathing repeats the pattern for about the chosen minutes", () => {
+    const phases = programPhases(program("box"), { minutes: 2 });
+    assert.equal(phases.length, 8 * 4);
+    assert.equal(programSeconds(phases), 128);
+    assert.deepEqual(phases.slice(0, 2).map(p => [p.cue, p.seconds, p.round]), [["in", 4, 1], ["hold", 4, 1]]);
+    assert.equal(programPhases(program("478"), { minutes: 0 }).length, 3);
+  });
+
+  test("intervals warm up, alternate work and rest, and cool down", () => {
+    const phases = programPhases(program("intervals"), { work: 30, rest: 60, rounds: 3 });
+    assert.deepEqual(phases.map(p => p.cue), ["warm", "work", "rest", "work", "rest", "work", "cool"]);
+    assert.equal(programSeconds(phases), 300 + 3 * 30 + 2 * 60 + 300);
+    assert.deepEqual(programPhases(program("intervals"), { warmup: 0, cooldown: 0, rounds: 1 }).map(p => p.cue), ["work"]);
+  });
+
+  test("phaseAt finds the phase, time left and progress for a second", () => {
+    const phases = programPhases(program("box"), { minutes: 1 });
+    assert.deepEqual(phaseAt(phases, 0), { index: 0, phase: phases[0], remaining: 4, progress: 0, done: false });
+    const mid = phaseAt(phases, 5);
+    assert.equal(mid.index, 1);
+    assert.equal(mid.remaining, 3);
+    assert.equal(mid.progress, 0.25);
+    const end = phaseAt(phases, programSeconds(phases));
+    assert.equal(end.done, true);
+    assert.equal(end.phase, null);
+  });
+});
+
+describe("quick log", () => {
+  test("recent sessions are the newest distinct shapes", () => {
+    const at = (date, hour, extra = {}) => ({ startedAt: `${date}T${hour}:00:00.000Z`, ...extra });
+    const entries = [
+      walk("a", "2026-03-08", at("2026-03-08", 10)),
+      walk("b", "2026-03-09", at("2026-03-09", 10, { duration_min: 30 })),
+      walk("c", "2026-03-10", at("2026-03-10", 10)),
+      walk("d", "2026-03-10", at("2026-03-10", 20, { mindful: true })),
+      walk("e", "2026-03-07", at("2026-03-07", 10, { duration_min: 45 })),
+    ];
+    assert.deepEqual(recentSessions(entries, 3), [
+      { activity_type: "walk", duration_min: 20, mindful: true },
+      { activity_type: "walk", duration_min: 20, mindful: false },
+      { activity_type: "walk", duration_min: 30, mindful: false },
+    ]);
+    assert.equal(recentSessions(entries, 10).length, 4);
+    assert.equal(sessionShape(entries[0]), sessionShape(entries[2]));
+  });
+});
+
+describe("split sessions", () => {
+  const acts = [
+    { id: "stretch", label: "Stretching", minDuration: 10, baseStars: 1 },
+    { id: "sit", label: "Sitting", minDuration: 5, baseStars: 1, midDuration: 20, midStars: 2 },
+  ];
+  const split = (id, date, segments, extra = {}) => ({ id, date, ...fromSegments(segments), ...extra });
+  const ACTIVITY = { mode: "activity", floor: false };
+
+  test("fromSegments keeps the longest part as the activity and totals the minutes", () => {
+    const fields = fromSegments([{ activity_type: "stretch", duration_min: 15 }, { activity_type: "sit", duration_min: 25 }]);
+    assert.deepEqual(fields, {
+      activity_type: "sit", duration_min: 40,
+      segments: [{ activity_type: "stretch", duration_min: 15 }, { activity_type: "sit", duration_min: 25 }],
+    });
+    assert.deepEqual(fromSegments([{ activity_type: "sit", duration_min: 25 }]), { activity_type: "sit", duration_min: 25 });
+  });
+
+  test("a plain entry is its own single segment", () => {
+    const e = walk("a", "2026-03-10");
+    assert.deepEqual(segmentsOf(e), [{ activity_type: "walk", duration_min: 20 }]);
+    assert.deepEqual(segmentsOf({ ...e, segments: [{ activity_type: "sit", duration_min: 5 }] }), segmentsOf(e));
+    assert.deepEqual(activitiesOf(split("b", "2026-03-10", [
+      { activity_type: "sit", duration_min: 5 }, { activity_type: "stretch", duration_min: 10 }, { activity_type: "sit", duration_min: 20 },
+    ])), ["sit", "stretch"]);
+  });
+
+  test("each segment earns its own activity's tier in activity mode", () => {
+    // stretch 15 min → 1 star, sit 25 min → mid tier, 2 stars
+    const e = split("a", "2026-03-10", [{ activity_type: "stretch", duration_min: 15 }, { activity_type: "sit", duration_min: 25 }]);
+    assert.equal(calcPts(e, acts, { scoring: ACTIVITY }), 30);
+    // The same 40 minutes as one sitting would be 2 stars
+    assert.equal(calcPts({ ...e, segments: undefined }, acts, { scoring: ACTIVITY }), 20);
+    // A segment below its minimum earns nothing; the floor lifts the whole session once
+    const short = split("b", "2026-03-10", [{ activity_type: "stretch", duration_min: 5 }, { activity_type: "sit", duration_min: 3 }]);
+    assert.equal(calcPts(short, acts, { scoring: ACTIVITY }), 0);
+    assert.equal(calcPts(short, acts, { scoring: { ...ACTIVITY, floor: true } }), 10);
+    // Flat mode ignores segments
+    assert.equal(calcPts(e, acts, { scoring: FLAT }), 10);
+  });
+
+  test("the breakdown names each part", () => {
+    const e = split("a", "2026-03-10", [{ activity_type: "stretch", duration_min: 15 }, { activity_type: "sit", duration_min: 25 }]);
+    const base = explainSession(e, acts, [e], { scoring: ACTIVITY }).lines.find(l => l.key === "base");
+    assert.equal(base.value, 30);
+    assert.equal(base.why, "Stretching 15 min (10) + Sitting 25 min (20)");
+  });
+
+  test("a split session counts toward every activity it holds, but once as a session", () => {
+    const entries = [
+      split("a", "2026-03-10", [{ activity_type: "stretch", duration_min: 15 }, { activity_type: "sit", duration_min: 25 }], { mindful: true }),
+      { id: "b", date: "2026-03-11", activity_type: "sit", duration_min: 10 },
+    ];
+    const mo = createScoreStore(entries, acts, { scoring: FLAT }).monthStats(2026, 3, { monthlyTarget: 0, monthlyStretch: 0 });
+    assert.equal(mo.sessions, 2);
+    assert.equal(mo.mindful, 1);
+    assert.deepEqual(mo.actCounts, { stretch: 1, sit: 2 });
+    assert.deepEqual(mo.mindfulCounts, { stretch: 1, sit: 1 });
+  });
+});
+
+describe("activity metrics", () => {
+  const acts = [{ id: "run" }, { id: "swim" }, { id: "walk" }];
+  const run = (id, duration_min, metrics, extra = {}) => ({ id, date: "2026-03-10", activity_type: "run", duration_min, metrics, ...extra });
+
+  test("an activity uses its own fields, else its preset's", () => {
+    assert.deepEqual(activityMetrics({ id: "run" }), [{ key: "distance", unit: "km" }, { key: "effort" }]);
+    assert.deepEqual(activityMetrics({ id: "run", metrics: [{ key: "distance", unit: "mi" }] }), [{ key: "distance", unit: "mi" }]);
+    assert.deepEqual(activityMetrics({ id: "custom" }), []);
+  });
+
+  test("cleanMetrics keeps sensible values for the given fields only", () => {
+    const fields = activityMetrics({ id: "swim" });
+    assert.deepEqual(cleanMetrics({ distance: "1500.256", laps: "-2", effort: "12", reps: "5" }, fields), { distance: 1500.26, effort: 10 });
+    assert.deepEqual(cleanMetrics({ distance: "abc", effort: "0" }, fields), {});
+  });
+
+  test("totals, bests and averages per activity", () => {
+    const entries = [run("a", 30, { distance: 5, effort: 6 }), run("b", 55, { distance: 10, effort: 8, laps: 4 })];
+    const st = metricStats(entries, acts).run;
+    assert.deepEqual(st.distance, { total: 15, count: 2, best: 10, bestId: "b", bestDate: "2026-03-10", avg: 7.5 });
+    assert.equal(st.effort.avg, 7);
+    assert.equal(st.effort.best, 0);
+    assert.equal(st.laps, undefined);
+  });
+
+  test("pace is the fastest single-activity session, per km", () => {
+    const split = run("s", 40, { distance: 10 }, { segments: [{ activity_type: "run", duration_min: 20 }, { activity_type: "walk", duration_min: 20 }] });
+    const st = metricStats([run("a", 30, { distance: 5 }), run("b", 55, { distance: 10 }), split], acts).run;
+    assert.deepEqual(st.pace, { best: 5.5, per: 1, bestId: "b", bestDate: "2026-03-10" });
+    assert.equal(st.distance.total, 25);
+  });
+
+  test("swim pace in metres is given per 100 m", () => {
+    const swim = { id: "w", date: "2026-03-10", activity_type: "swim", duration_min: 30, metrics: { distance: 1500 } };
+    assert.deepEqual(metricStats([swim], acts).swim.pace, { best: 2, per: 100, bestId: "w", bestDate: "2026-03-10" });
+  });
+});
+
+describe("journal filters", () => {
+  const entries = [
+    walk("a", "2026-03-08", { mindful: true, note: "Sunny park loop" }),
+    { id: "b", date: "2026-03-10", activity_type: "run", duration_min: 40, note: "hills", startedAt: "2026-03-10T08:00:00.000Z",
+      segments: [{ activity_type: "run", duration_min: 25 }, { activity_type: "yoga", duration_min: 15 }] },
+    { id: "c", date: "2026-03-10", activity_type: "yoga", duration_min: 30, startedAt: "2026-03-10T18:00:00.000Z" },
+    walk("d", "2026-03-12"),
+  ];
+  const ids = filter => filterEntries(entries, filter).map(e => e.id);
+
+  test("with no filter, everything newest first, later sessions first within a day", () => {
+    assert.deepEqual(ids(), ["d", "c", "b", "a"]);
+  });
+
+  test("activities match any part of a split session", () => {
+    assert.deepEqual(ids({ activities: ["yoga"] }), ["c", "b"]);
+    assert.deepEqual(ids({ activities: ["walk", "run"] }), ["d", "b", "a"]);
+    assert.deepEqual(ids({ activities: [] }), ["d", "c", "b", "a"]);
+  });
+
+  test("mindful filters both ways", () => {
+    assert.deepEqual(ids({ mindful: true }), ["a"]);
+    assert.deepEqual(ids({ mindful: false }), ["d", "c", "b"]);
+  });
+
+  test("dates are inclusive", () => {
+    assert.deepEqual(ids({ from: "2026-03-10", to: "2026-03-10" }), ["c", "b"]);
+    assert.deepEqual(ids({ from: "2026-03-09" }), ["d", "c", "b"]);
+  });
+
+  test("text is found in the note, any case, trimmed", () => {
+    assert.deepEqual(ids({ text: "  SUNNY " }), ["a"]);
+    assert.deepEqual(ids({ text: "hill", activities: ["yoga"], to: "2026-03-11" }), ["b"]);
+    assert.deepEqual(ids({ text: "   " }), ["d", "c", "b", "a"]);
+  });
+});